@@ -0,0 +1,27 @@
+/**
+ * Vercel Cron: permanently deletes expenses that have sat in a group's trash past the
+ * retention window, so the trash does not grow forever.
+ * Secured with CRON_SECRET (Authorization: Bearer <CRON_SECRET>).
+ * @see vercel.json crons (19:40 UTC daily)
+ */
+const { purgeDeletedExpenses } = require('../lib/purge-deleted-expenses');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ ok: false, error: 'Method not allowed' });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  const auth = req.headers.authorization || '';
+  if (!secret) {
+    return res.status(500).json({ ok: false, error: 'CRON_SECRET is not configured' });
+  }
+  if (auth !== 'Bearer ' + secret) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const result = await purgeDeletedExpenses();
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(result.ok ? 200 : 500).json(result);
+};
@@ -1,10 +1,12 @@
 // App State Management - Centralized state
+// Groups are kept on the device by GroupStore (IndexedDB); wait for ready() before the first read.
 (function() {
     'use strict';
     
     const AppState = {
         // Application state
         groups: [],
+        storeReady: null,
         currentUser: null,
         
         // UI state
@@ -31,23 +33,66 @@
             }
         },
         
-        // Get groups
+        // Load the stored groups; resolves once getGroups() returns them
+        ready: function() {
+            if (!window.GroupStore) return Promise.resolve();
+            if (!this.storeReady) {
+                this.storeReady = window.GroupStore.init().then(() => {
+                    this.groups = window.GroupStore.getAll();
+                    // Another tab saved
+                    window.GroupStore.onChange(() => {
+                        this.groups = window.GroupStore.getAll();
+                        this.notify('groupsChanged', this.groups);
+                    });
+                });
+            }
+            return this.storeReady;
+        },
+        
+        // Get groups: the cached ones themselves, not copies, so treat them as read only
         getGroups: function() {
-            return [...this.groups]; // Return copy
+            return window.GroupStore ? window.GroupStore.list() : [...this.groups];
+        },
+        
+        // Copies of the groups, for a list the caller changes before saving it back
+        copyGroups: function() {
+            return window.GroupStore ? window.GroupStore.getAll() : [...this.groups];
+        },
+        
+        // Get one group by id or supabaseId (a copy)
+        getGroup: function(groupId) {
+            if (window.GroupStore) return window.GroupStore.get(groupId);
+            return this.groups.find(g => (g.id === groupId) || (g.supabaseId === groupId)) || null;
         },
         
         // Set groups
         setGroups: function(groups) {
             this.groups = Array.isArray(groups) ? [...groups] : [];
+            window.GroupStore?.saveAll(this.groups);
             this.notify('groupsChanged', this.groups);
         },
         
         // Add group
         addGroup: function(group) {
             this.groups.push(group);
+            window.GroupStore?.saveGroup(group);
             this.notify('groupAdded', group);
         },
         
+        // Insert or replace a group
+        saveGroup: function(group) {
+            const index = this.groups.findIndex(g => 
+                (g.id === group.id) || (g.supabaseId && g.supabaseId === group.supabaseId)
+            );
+            if (index >= 0) {
+                this.groups[index] = group;
+            } else {
+                this.groups.push(group);
+            }
+            window.GroupStore?.saveGroup(group);
+            this.notify('groupUpdated', group);
+        },
+        
         // Update group
         updateGroup: function(groupId, updates) {
             const index = this.groups.findIndex(g => 
@@ -55,6 +100,7 @@
             );
             if (index >= 0) {
                 this.groups[index] = { ...this.groups[index], ...updates };
+                window.GroupStore?.saveGroup(this.groups[index]);
                 this.notify('groupUpdated', this.groups[index]);
             }
         },
@@ -64,6 +110,7 @@
             const index = this.groups.findIndex(g => 
                 (g.id === groupId) || (g.supabaseId === groupId)
             );
+            window.GroupStore?.removeGroup(groupId);
             if (index >= 0) {
                 const group = this.groups[index];
                 this.groups.splice(index, 1);
@@ -0,0 +1,183 @@
+// AuditLog - Diffs and wording for the group history (no DOM access)
+// A history entry is { id, groupId, entityType, entityId, action, actorId, actorName, changes, snapshot, createdAt }.
+// entityType: 'group' | 'expense' | 'member'; action: 'create' | 'update' | 'delete' | 'join' | 'leave' | 'request_delete' | 'restore'.
+// changes is a list of { field, from, to }; amount changes hold { minor, currency } on each side.
+(function() {
+    'use strict';
+
+    const EXPENSE_FIELD_LABELS = {
+        name: 'name',
+        amount: 'amount',
+        exchangeRate: 'exchange rate',
+        paidBy: 'payer',
+        splitBetween: 'split',
+        splitType: 'split type',
+        date: 'date',
+        category: 'category',
+        note: 'note',
+        receipts: 'receipts'
+    };
+
+    const GROUP_FIELD_LABELS = {
+        name: 'name',
+        participants: 'participants',
+        baseCurrency: 'currency',
+        categories: 'categories'
+    };
+
+    const SPLIT_TYPE_LABELS = {
+        equal: 'equal',
+        custom: 'custom amounts',
+        percentage: 'percentage',
+        shares: 'shares',
+        itemized: 'itemized'
+    };
+
+    function sortedList(values) {
+        return Array.isArray(values) ? [...values].sort().join(', ') : '';
+    }
+
+    function payerText(expense) {
+        const payers = expense.payersMinor && Object.keys(expense.payersMinor).length > 1
+            ? Object.keys(expense.payersMinor)
+            : [expense.paidBy].filter(Boolean);
+        return sortedList(payers);
+    }
+
+    function dayKey(value) {
+        return typeof value === 'string' ? value.slice(0, 10) : '';
+    }
+
+    function valueChange(changes, field, from, to) {
+        const before = from === undefined || from === null ? '' : from;
+        const after = to === undefined || to === null ? '' : to;
+        if (before !== after) changes.push({ field: field, from: before, to: after });
+    }
+
+    const AuditLog = {
+        // Fields shown next to an entry even after the expense is gone
+        expenseSnapshot: function(expense) {
+            return {
+                name: expense.name || expense.description || '',
+                amountMinor: expense.amountMinor,
+                currency: expense.currency || null,
+                type: expense.type || 'expense',
+                paidBy: expense.paidBy || null,
+                splitBetween: Array.isArray(expense.splitBetween) ? expense.splitBetween : []
+            };
+        },
+
+        // What changed between two versions of an expense (both already normalized)
+        diffExpense: function(before, after) {
+            const changes = [];
+            valueChange(changes, 'name', before.name, after.name);
+            if (before.amountMinor !== after.amountMinor || (before.currency || '') !== (after.currency || '')) {
+                changes.push({
+                    field: 'amount',
+                    from: { minor: before.amountMinor, currency: before.currency || null },
+                    to: { minor: after.amountMinor, currency: after.currency || null }
+                });
+            }
+            if ((before.currency || '') === (after.currency || '')) {
+                valueChange(changes, 'exchangeRate', Number(before.exchangeRate) || 1, Number(after.exchangeRate) || 1);
+            }
+            valueChange(changes, 'paidBy', payerText(before), payerText(after));
+            valueChange(changes, 'splitBetween', sortedList(before.splitBetween), sortedList(after.splitBetween));
+            valueChange(changes, 'splitType', before.splitType || 'equal', after.splitType || 'equal');
+            valueChange(changes, 'date', dayKey(before.date), dayKey(after.date));
+            valueChange(changes, 'category', before.category, after.category);
+            valueChange(changes, 'note', before.note, after.note);
+            valueChange(changes, 'receipts', (before.attachments || []).length, (after.attachments || []).length);
+            return changes;
+        },
+
+        // What changed between two versions of a group
+        diffGroup: function(before, after) {
+            const changes = [];
+            valueChange(changes, 'name', before.name, after.name);
+            valueChange(changes, 'participants', sortedList(before.participants), sortedList(after.participants));
+            valueChange(changes, 'baseCurrency', before.baseCurrency, after.baseCurrency);
+            valueChange(changes, 'categories', (before.categories || []).join(', '), (after.categories || []).join(', '));
+            return changes;
+        },
+
+        // One line for the History tab, e.g. "Ravi changed Dinner from ₹1,200.00 to ₹1,500.00"
+        describe: function(entry, formatMoney) {
+            const actor = entry.actorName || 'Someone';
+            const snapshot = entry.snapshot || {};
+            const changes = Array.isArray(entry.changes) ? entry.changes : [];
+            const money = (minor, currency) => formatMoney(minor, currency || snapshot.currency);
+
+            if (entry.entityType === 'member') {
+                const who = snapshot.memberName || actor;
+                if (entry.action === 'join') {
+                    // Invites can preset a role other than member
+                    const role = snapshot.role === 'admin' ? ' as an admin' : snapshot.role === 'viewer' ? ' as a viewer' : '';
+                    return `${who} joined the group${role}`;
+                }
+                if (entry.action === 'leave') return `${who} left the group`;
+                if (entry.action === 'update' && 'participant' in snapshot) {
+                    return snapshot.participant ? `${who} is ${snapshot.participant} in this group` : `${who} unlinked their name`;
+                }
+                if (entry.action === 'update' && snapshot.role) {
+                    return `${actor} made ${snapshot.memberName || 'someone'} ${snapshot.role === 'admin' ? 'an admin' : `a ${snapshot.role}`}`;
+                }
+                return `${actor} updated the members`;
+            }
+
+            if (entry.entityType === 'group') {
+                if (entry.action === 'create') return `${actor} created the group "${snapshot.name || ''}"`;
+                if (entry.action === 'delete') return `${actor} deleted the group`;
+                if (entry.action === 'request_delete') return `${actor} asked to delete the group`;
+                if (entry.action === 'restore') return `${actor} cancelled the group deletion`;
+                // Changes synced in the background by the service worker carry no diff
+                if (changes.length === 0) return `${actor} edited the group "${snapshot.name || ''}"`;
+                return `${actor} changed the group ${changes.map(change => this.describeChange(change, GROUP_FIELD_LABELS, money)).join('; ')}`;
+            }
+
+            const name = snapshot.name || 'an expense';
+            const amount = snapshot.amountMinor !== undefined && snapshot.amountMinor !== null ? ` (${money(snapshot.amountMinor)})` : '';
+            if (snapshot.type === 'payment') {
+                const to = snapshot.splitBetween && snapshot.splitBetween[0] ? snapshot.splitBetween[0] : 'someone';
+                const verb = entry.action === 'delete' ? 'deleted the payment' : entry.action === 'restore' ? 'restored the payment' : 'recorded a payment';
+                return `${actor} ${verb} from ${snapshot.paidBy || 'someone'} to ${to}${amount}`;
+            }
+            if (entry.action === 'create') return `${actor} added ${name}${amount}${snapshot.recurring ? ' (repeating)' : ''}`;
+            if (entry.action === 'delete') return `${actor} deleted ${name}${amount}`;
+            if (entry.action === 'restore') return `${actor} restored ${name}${amount}`;
+            if (changes.length === 0) return `${actor} edited ${name}${amount}`;
+
+            // The common case reads naturally: "changed Dinner from ₹1,200 to ₹1,500"
+            if (changes.length === 1 && changes[0].field === 'amount') {
+                return `${actor} changed ${name} from ${money(changes[0].from.minor, changes[0].from.currency)} to ${money(changes[0].to.minor, changes[0].to.currency)}`;
+            }
+            if (changes.length === 1 && changes[0].field === 'name') {
+                return `${actor} renamed ${changes[0].from || 'an expense'} to ${changes[0].to}`;
+            }
+            return `${actor} changed ${name}: ${changes.map(change => this.describeChange(change, EXPENSE_FIELD_LABELS, money)).join('; ')}`;
+        },
+
+        // "amount from ₹1,200.00 to ₹1,500.00", "note removed", "category set to Food"
+        describeChange: function(change, labels, money) {
+            const label = labels[change.field] || change.field;
+            if (change.field === 'amount') {
+                return `${label} from ${money(change.from.minor, change.from.currency)} to ${money(change.to.minor, change.to.currency)}`;
+            }
+            const from = change.field === 'splitType' ? SPLIT_TYPE_LABELS[change.from] || change.from : change.from;
+            const to = change.field === 'splitType' ? SPLIT_TYPE_LABELS[change.to] || change.to : change.to;
+            if (from === '' || from === null) return `${label} set to ${to}`;
+            if (to === '' || to === null) return `${label} removed`;
+            return `${label} from ${from} to ${to}`;
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.AuditLog = AuditLog;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AuditLog;
+    }
+})();
@@ -0,0 +1,249 @@
+// Conflicts - Three-way merge of concurrent edits to an expense or a group (no DOM access)
+// base is the version an edit started from, local the edit, remote what the server holds now.
+// A field changed on one side only is merged automatically; a field changed differently on
+// both sides becomes a conflict { key, label } that the user settles in the conflict dialog.
+// A merge result is { kind, merged, local, remote, conflicts }.
+(function() {
+    'use strict';
+
+    // Properties that travel together when one side's value is taken
+    const EXPENSE_FIELDS = [
+        { key: 'name', label: 'Description', props: ['name'] },
+        { key: 'amount', label: 'Amount', props: ['amountMinor', 'amount', 'currency', 'exchangeRate'] },
+        { key: 'paidBy', label: 'Paid by', props: ['paidBy', 'payersMinor'] },
+        { key: 'split', label: 'Split', props: ['splitBetween', 'splitType', 'customAmounts', 'customAmountsMinor', 'splitWeights', 'itemization', 'perPersonAmount'] },
+        { key: 'date', label: 'Date', props: ['date'] },
+        { key: 'category', label: 'Category', props: ['category'] },
+        { key: 'note', label: 'Note', props: ['note'] },
+        { key: 'attachments', label: 'Receipts', props: ['attachments'] }
+    ];
+
+    // Exact amounts per person only add up against the amount they were entered for
+    const AMOUNT_AND_SPLIT = {
+        key: 'amountAndSplit',
+        label: 'Amount and split',
+        props: EXPENSE_FIELDS[1].props.concat(EXPENSE_FIELDS[3].props)
+    };
+    const EXACT_SPLIT_TYPES = ['custom', 'itemized'];
+
+    // Several payers' shares only add up against the amount they were entered for
+    const AMOUNT_AND_PAYERS = {
+        key: 'amountAndPayers',
+        label: 'Amount and paid by',
+        props: EXPENSE_FIELDS[1].props.concat(EXPENSE_FIELDS[2].props)
+    };
+    const AMOUNT_PAYERS_AND_SPLIT = {
+        key: 'amountPayersAndSplit',
+        label: 'Amount, paid by and split',
+        props: AMOUNT_AND_PAYERS.props.concat(EXPENSE_FIELDS[3].props)
+    };
+    const COMBINED_FIELDS = [AMOUNT_AND_SPLIT, AMOUNT_AND_PAYERS, AMOUNT_PAYERS_AND_SPLIT];
+
+    // members/participants are sets: additions and removals from both sides are all kept
+    const GROUP_FIELDS = [
+        { key: 'name', label: 'Name', props: ['name'] },
+        { key: 'baseCurrency', label: 'Currency', props: ['baseCurrency'] },
+        { key: 'categories', label: 'Categories', props: ['categories'] },
+        { key: 'members', label: 'Members', props: ['members'], set: true },
+        { key: 'participants', label: 'Participants', props: ['participants'], set: true }
+    ];
+
+    const SPLIT_TYPE_LABELS = {
+        equal: 'Equal',
+        custom: 'Custom amounts',
+        percentage: 'Percentage',
+        shares: 'Shares',
+        itemized: 'Itemized'
+    };
+
+    // JSON with sorted keys, so jsonb round-trips compare equal
+    function stableStringify(value) {
+        if (value === undefined || value === null) return 'null';
+        if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+        if (typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    function hasSeveralPayers(entity) {
+        return !!entity.payersMinor && Object.keys(entity.payersMinor).length > 1;
+    }
+
+    // Comparable form of one field; derived values (amount, perPersonAmount) are left out
+    function fieldValue(key, entity) {
+        switch (key) {
+            case 'name':
+            case 'note':
+            case 'category':
+            case 'baseCurrency':
+                return String(entity[key] || '').trim();
+            case 'amount':
+                return `${entity.amountMinor}|${entity.currency || ''}|${Number(entity.exchangeRate) || 1}`;
+            case 'paidBy':
+                return hasSeveralPayers(entity)
+                    ? stableStringify(entity.payersMinor)
+                    : String(entity.paidBy || '');
+            case 'amountAndPayers':
+                return `${fieldValue('amount', entity)}#${fieldValue('paidBy', entity)}`;
+            case 'split':
+                return stableStringify({
+                    splitBetween: [...(entity.splitBetween || [])].sort(),
+                    splitType: entity.splitType || 'equal',
+                    customAmountsMinor: entity.customAmountsMinor || null,
+                    splitWeights: entity.splitWeights || null,
+                    itemization: entity.itemization || null
+                });
+            case 'date':
+                return entity.date ? String(entity.date).slice(0, 10) : '';
+            case 'attachments':
+                return (entity.attachments || []).map(attachment => attachment.path).sort().join(',');
+            case 'categories':
+                return (entity.categories || []).join(',');
+            default:
+                return stableStringify(entity[key]);
+        }
+    }
+
+    function copyProps(field, from, to) {
+        field.props.forEach(prop => {
+            to[prop] = from[prop] === undefined ? null : from[prop];
+        });
+    }
+
+    // remote, minus what local removed since base, plus what local added
+    function mergeSet(base, local, remote) {
+        const before = new Set(base || []);
+        const mine = new Set(local || []);
+        const removed = [...before].filter(value => !mine.has(value));
+        const added = [...mine].filter(value => !before.has(value));
+        const merged = (remote || []).filter(value => !removed.includes(value));
+        added.forEach(value => {
+            if (!merged.includes(value)) merged.push(value);
+        });
+        return merged;
+    }
+
+    function merge(kind, fields, base, local, remote) {
+        const merged = { ...remote };
+        const conflicts = [];
+        const sources = {};
+
+        // With several payers on any side, the amount and who paid it are merged as one field
+        const payersTied = kind === 'expense' && [base, local, remote].some(hasSeveralPayers);
+        const amountKey = payersTied ? AMOUNT_AND_PAYERS.key : 'amount';
+        if (payersTied) {
+            fields = fields.flatMap(field => {
+                if (field.key === 'amount') return [AMOUNT_AND_PAYERS];
+                return field.key === 'paidBy' ? [] : [field];
+            });
+        }
+
+        fields.forEach(field => {
+            if (field.set) {
+                merged[field.key] = mergeSet(base[field.key], local[field.key], remote[field.key]);
+                return;
+            }
+
+            const before = fieldValue(field.key, base);
+            const mine = fieldValue(field.key, local);
+            const theirs = fieldValue(field.key, remote);
+
+            if (mine === theirs || mine === before) {
+                sources[field.key] = 'remote';
+            } else if (theirs === before) {
+                copyProps(field, local, merged);
+                sources[field.key] = 'local';
+            } else {
+                conflicts.push({ key: field.key, label: field.label });
+                sources[field.key] = 'conflict';
+            }
+        });
+
+        // Exact per-person amounts only add up against their own total, so with an exact split
+        // a clash on either the amount or the split is settled for both at once
+        const exactSplit = [base, local, remote].some(entity => EXACT_SPLIT_TYPES.includes(entity.splitType));
+        if (kind === 'expense' && exactSplit && (sources[amountKey] === 'conflict' || sources.split === 'conflict')) {
+            const combined = payersTied ? AMOUNT_PAYERS_AND_SPLIT : AMOUNT_AND_SPLIT;
+            copyProps(combined, remote, merged);
+            const others = conflicts.filter(conflict => conflict.key !== amountKey && conflict.key !== 'split');
+            conflicts.length = 0;
+            conflicts.push(...others, { key: combined.key, label: combined.label });
+        }
+
+        return { kind: kind, merged: merged, local: local, remote: remote, conflicts: conflicts };
+    }
+
+    function findField(kind, key) {
+        const combined = COMBINED_FIELDS.find(field => field.key === key);
+        if (combined) return combined;
+        return (kind === 'group' ? GROUP_FIELDS : EXPENSE_FIELDS).find(field => field.key === key);
+    }
+
+    const Conflicts = {
+        mergeExpense: function(base, local, remote) {
+            return merge('expense', EXPENSE_FIELDS, base, local, remote);
+        },
+
+        mergeGroup: function(base, local, remote) {
+            return merge('group', GROUP_FIELDS, base, local, remote);
+        },
+
+        // Apply the user's picks; choices[key] is 'local' or 'remote' (remote when missing)
+        resolve: function(result, choices = {}) {
+            const resolved = { ...result.merged };
+            result.conflicts.forEach(conflict => {
+                const field = findField(result.kind, conflict.key);
+                if (field && choices[conflict.key] === 'local') {
+                    copyProps(field, result.local, resolved);
+                }
+            });
+            return resolved;
+        },
+
+        // Text for one side of a conflict; formatMoney(minor, currency) as in formatMinorCurrency
+        format: function(kind, key, entity, formatMoney) {
+            const parts = {
+                [AMOUNT_AND_SPLIT.key]: ['amount', 'split'],
+                [AMOUNT_AND_PAYERS.key]: ['amount', 'paidBy'],
+                [AMOUNT_PAYERS_AND_SPLIT.key]: ['amount', 'paidBy', 'split']
+            }[key];
+            if (parts) {
+                return parts.map(part => this.format(kind, part, entity, formatMoney)).join(' · ');
+            }
+            switch (key) {
+                case 'amount':
+                    return formatMoney(entity.amountMinor, entity.currency);
+                case 'paidBy':
+                    if (hasSeveralPayers(entity)) {
+                        return Object.entries(entity.payersMinor)
+                            .map(([name, minor]) => `${name} ${formatMoney(minor, entity.currency)}`)
+                            .join(', ');
+                    }
+                    return entity.paidBy || '(none)';
+                case 'split':
+                    return `${SPLIT_TYPE_LABELS[entity.splitType] || SPLIT_TYPE_LABELS.equal}: ${(entity.splitBetween || []).join(', ')}`;
+                case 'date':
+                    return entity.date ? String(entity.date).slice(0, 10) : '(none)';
+                case 'attachments': {
+                    const count = (entity.attachments || []).length;
+                    return `${count} photo${count === 1 ? '' : 's'}`;
+                }
+                case 'categories':
+                    return (entity.categories || []).join(', ') || '(default)';
+                default:
+                    return fieldValue(key, entity) || '(none)';
+            }
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.Conflicts = Conflicts;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Conflicts;
+    }
+})();
@@ -0,0 +1,78 @@
+// Currency - Supported currencies and the local exchange rate table
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'spliteasy_exchange_rates';
+
+    // Approximate units per 1 USD; only used to prefill the rate field, users can overwrite it
+    const RATES_PER_USD = {
+        USD: 1,
+        INR: 83.5,
+        EUR: 0.92,
+        GBP: 0.79,
+        AED: 3.67,
+        SGD: 1.35,
+        THB: 36.5,
+        JPY: 150,
+        AUD: 1.52
+    };
+
+    const Currency = {
+        DEFAULT: 'INR',
+
+        // Currency codes offered in the group and expense selectors
+        list: function() {
+            return Object.keys(RATES_PER_USD);
+        },
+
+        isSupported: function(code) {
+            return Object.prototype.hasOwnProperty.call(RATES_PER_USD, code);
+        },
+
+        // Rates the user entered by hand, keyed "FROM>TO"
+        getSavedRates: function() {
+            try {
+                if (typeof localStorage === 'undefined') return {};
+                return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            } catch (error) {
+                return {};
+            }
+        },
+
+        // Remember a hand-entered rate so the next expense in that currency starts from it
+        saveRate: function(from, to, rate) {
+            if (!from || !to || from === to || !(rate > 0)) return;
+            try {
+                if (typeof localStorage === 'undefined') return;
+                const saved = this.getSavedRates();
+                saved[`${from}>${to}`] = rate;
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+            } catch (error) {
+                window.Logger?.warn('Failed to save exchange rate:', error);
+            }
+        },
+
+        // Units of "to" per 1 unit of "from" (saved rate first, then the local table)
+        getRate: function(from, to) {
+            if (!from || !to || from === to) return 1;
+
+            const saved = this.getSavedRates()[`${from}>${to}`];
+            if (saved > 0) return saved;
+
+            const fromPerUsd = RATES_PER_USD[from];
+            const toPerUsd = RATES_PER_USD[to];
+            if (!fromPerUsd || !toPerUsd) return 1;
+            return Math.round((toPerUsd / fromPerUsd) * 1e6) / 1e6;
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.Currency = Currency;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Currency;
+    }
+})();
@@ -0,0 +1,359 @@
+// GroupStore - The device's copy of the user's groups and expenses, kept in IndexedDB
+// One record per group (without its expenses) and one per expense, so a save only writes what
+// changed and long-running groups are not capped by localStorage's ~5 MB.
+// Reads are synchronous from an in-memory copy loaded by init(); writes go to IndexedDB in the
+// background, in order. Other tabs are told to reload through a BroadcastChannel.
+// Falls back to the old single localStorage blob when IndexedDB is unavailable.
+(function() {
+    'use strict';
+
+    const DB_NAME = 'splitxpense-groups';
+    const DB_VERSION = 1;
+    const GROUPS = 'groups';
+    const EXPENSES = 'expenses';
+
+    // The whole list as one JSON string, before this store existed; migrated once by init()
+    const LEGACY_KEY = 'spliteasy_groups';
+    const CHANNEL_NAME = 'splitxpense-groups';
+
+    let dbPromise = null;
+    let groups = [];
+    let loaded = null;
+    let writeChain = Promise.resolve();
+    let channel = null;
+    const listeners = [];
+
+    // Group id -> Map(record key -> { store, primaryKey, json }) of what IndexedDB holds for it
+    const written = new Map();
+    // Ids of groups saved or removed since their records were last written (or whose write failed)
+    const dirty = new Set();
+    // Group id -> position in the list; only relative order matters, so removals leave gaps
+    const positions = new Map();
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            dbPromise = Promise.resolve(null);
+            return dbPromise;
+        }
+
+        dbPromise = new Promise(resolve => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(GROUPS)) {
+                    const store = db.createObjectStore(GROUPS, { keyPath: 'id' });
+                    store.createIndex('supabaseId', 'supabaseId');
+                }
+                if (!db.objectStoreNames.contains(EXPENSES)) {
+                    const store = db.createObjectStore(EXPENSES, { keyPath: ['groupId', 'id'] });
+                    store.createIndex('groupId', 'groupId');
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, groups are cached in localStorage:', request.error);
+                resolve(null);
+            };
+        });
+        return dbPromise;
+    }
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function matches(group, groupId) {
+        return !!group && (group.id === groupId || (!!group.supabaseId && group.supabaseId === groupId));
+    }
+
+    // Expenses newest first, the order the server returns them in (created_at DESC); the id breaks
+    // ties. Records carry no position, so adding or removing one expense does not rewrite the others.
+    function byCreatedAt(a, b) {
+        const time = record => Date.parse(record.expense && record.expense.createdAt) || 0;
+        return time(b) - time(a) || String(a.id).localeCompare(String(b.id));
+    }
+
+    // One group as IndexedDB records, keyed like `written`, each with its JSON to compare
+    function toRecords(group) {
+        const records = new Map();
+        const add = (key, store, primaryKey, value) => {
+            records.set(key, { store: store, primaryKey: primaryKey, value: value, json: JSON.stringify(value) });
+        };
+        const { expenses, ...fields } = group;
+        add(`g:${group.id}`, GROUPS, group.id, { id: group.id, supabaseId: group.supabaseId || null, position: positions.get(group.id), group: fields });
+        (expenses || []).forEach(expense => {
+            if (!expense || !expense.id) return;
+            add(`e:${group.id}:${expense.id}`, EXPENSES, [group.id, expense.id], { groupId: group.id, id: expense.id, expense: expense });
+        });
+        return records;
+    }
+
+    function setPositions(list) {
+        positions.clear();
+        list.forEach((group, position) => positions.set(group.id, position));
+    }
+
+    function nextPosition() {
+        let last = -1;
+        positions.forEach(position => {
+            last = Math.max(last, position);
+        });
+        return last + 1;
+    }
+
+    function fromRecords(groupRecords, expenseRecords) {
+        const byGroup = new Map();
+        expenseRecords
+            .sort(byCreatedAt)
+            .forEach(record => {
+                if (!byGroup.has(record.groupId)) byGroup.set(record.groupId, []);
+                byGroup.get(record.groupId).push(record.expense);
+            });
+        return groupRecords
+            .sort((a, b) => a.position - b.position)
+            .map(record => ({ ...record.group, expenses: byGroup.get(record.id) || [] }));
+    }
+
+    // What IndexedDB holds once `records` (all of a group's records) are written
+    function remember(groupId, records) {
+        const held = new Map();
+        records.forEach((record, key) => {
+            held.set(key, { store: record.store, primaryKey: record.primaryKey, json: record.json });
+        });
+        written.set(groupId, held);
+    }
+
+    // Queue the IndexedDB writes for the dirty groups: their changed records are put, records that
+    // are gone are deleted, untouched ones are skipped. Other groups are not looked at. `written` only
+    // moves on once the transaction committed; a failed write leaves its groups dirty for the next save.
+    function persist() {
+        if (dirty.size === 0) return writeChain;
+
+        const groupIds = [...dirty];
+        dirty.clear();
+        const puts = [];
+        const deletes = [];
+        const committed = new Map(); // group id -> its records, or null when it was removed
+
+        groupIds.forEach(groupId => {
+            const group = groups.find(g => g.id === groupId);
+            const records = group ? toRecords(group) : new Map();
+            const held = written.get(groupId) || new Map();
+
+            records.forEach((record, key) => {
+                const previous = held.get(key);
+                if (!previous || previous.json !== record.json) puts.push(record);
+            });
+            held.forEach((previous, key) => {
+                if (!records.has(key)) deletes.push(previous);
+            });
+            committed.set(groupId, group ? records : null);
+        });
+
+        if (puts.length === 0 && deletes.length === 0) return writeChain;
+
+        const snapshot = groups;
+        writeChain = writeChain
+            .then(() => writeRecords(puts, deletes, snapshot))
+            .then(() => {
+                committed.forEach((records, groupId) => {
+                    if (records) {
+                        remember(groupId, records);
+                    } else {
+                        written.delete(groupId);
+                    }
+                });
+            })
+            .catch(error => {
+                console.error('Failed to save groups on this device:', error);
+                groupIds.forEach(groupId => dirty.add(groupId));
+            });
+        return writeChain;
+    }
+
+    async function writeRecords(puts, deletes, snapshot) {
+        const db = await openDatabase();
+        if (!db) {
+            localStorage.setItem(LEGACY_KEY, JSON.stringify(snapshot));
+            return;
+        }
+
+        const transaction = db.transaction([GROUPS, EXPENSES], 'readwrite');
+        puts.forEach(record => transaction.objectStore(record.store).put(record.value));
+        deletes.forEach(record => transaction.objectStore(record.store).delete(record.primaryKey));
+        await transactionDone(transaction);
+
+        if (channel) {
+            channel.postMessage({ type: 'changed' });
+        }
+    }
+
+    async function readAll() {
+        const db = await openDatabase();
+        if (!db) {
+            try {
+                return JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]');
+            } catch (e) {
+                console.error('Error parsing cached groups:', e);
+                return [];
+            }
+        }
+
+        const transaction = db.transaction([GROUPS, EXPENSES], 'readonly');
+        const [groupRecords, expenseRecords] = await Promise.all([
+            requestToPromise(transaction.objectStore(GROUPS).getAll()),
+            requestToPromise(transaction.objectStore(EXPENSES).getAll())
+        ]);
+        const list = fromRecords(groupRecords, expenseRecords);
+        written.clear();
+        setPositions(list);
+        list.forEach(group => remember(group.id, toRecords(group)));
+        return list;
+    }
+
+    function notify() {
+        listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (e) {
+                console.warn('Group store listener failed:', e);
+            }
+        });
+    }
+
+    const GroupStore = {
+        // Load the stored groups (migrating the old localStorage list once); safe to call repeatedly
+        init: function() {
+            if (!loaded) {
+                loaded = (async () => {
+                    groups = await readAll();
+
+                    const db = await openDatabase();
+                    const legacy = db ? localStorage.getItem(LEGACY_KEY) : null;
+                    if (legacy) {
+                        try {
+                            const parsed = JSON.parse(legacy);
+                            if (groups.length === 0 && Array.isArray(parsed)) {
+                                groups = parsed.filter(group => group && group.id);
+                                setPositions(groups);
+                                groups.forEach(group => dirty.add(group.id));
+                                await persist();
+                                console.log('Moved', groups.length, 'cached groups from localStorage to IndexedDB');
+                            }
+                        } catch (e) {
+                            console.warn('Discarding unreadable cached groups from localStorage:', e);
+                        }
+                        localStorage.removeItem(LEGACY_KEY);
+                    }
+
+                    if (typeof BroadcastChannel !== 'undefined') {
+                        channel = new BroadcastChannel(CHANNEL_NAME);
+                        channel.onmessage = () => this.reload();
+                    }
+                })().catch(error => {
+                    console.error('Failed to load cached groups:', error);
+                });
+            }
+            return loaded;
+        },
+
+        // Re-read after another tab saved
+        reload: async function() {
+            await writeChain;
+            groups = await readAll();
+            notify();
+        },
+
+        // Copies, so callers can change them freely before saving
+        getAll: function() {
+            return clone(groups);
+        },
+
+        // The stored groups themselves, without copying: read only (change copies and save those)
+        list: function() {
+            return groups.slice();
+        },
+
+        get: function(groupId) {
+            const group = groups.find(g => matches(g, groupId));
+            return group ? clone(group) : null;
+        },
+
+        // Replace the whole list
+        saveAll: function(list) {
+            const previous = groups;
+            groups = clone(Array.isArray(list) ? list : []).filter(group => group && group.id);
+            setPositions(groups);
+            previous.concat(groups).forEach(group => dirty.add(group.id));
+            return persist();
+        },
+
+        // Insert or replace one group (matched by id or supabaseId)
+        saveGroup: function(group) {
+            if (!group || !group.id) return writeChain;
+            const copy = clone(group);
+            const index = groups.findIndex(g => matches(g, group.id) || matches(g, group.supabaseId));
+            if (index === -1) {
+                groups.push(copy);
+                positions.set(copy.id, nextPosition());
+            } else {
+                // Matched by supabaseId, the records under its old id go
+                const previousId = groups[index].id;
+                dirty.add(previousId);
+                positions.set(copy.id, positions.get(previousId));
+                groups[index] = copy;
+            }
+            dirty.add(copy.id);
+            return persist();
+        },
+
+        removeGroup: function(groupId) {
+            groups = groups.filter(g => {
+                if (!matches(g, groupId)) return true;
+                dirty.add(g.id);
+                return false;
+            });
+            return persist();
+        },
+
+        // Resolves once every queued write has reached IndexedDB
+        flush: function() {
+            return writeChain;
+        },
+
+        // listener() after another tab changed the stored groups
+        onChange: function(listener) {
+            listeners.push(listener);
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.GroupStore = GroupStore;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GroupStore;
+    }
+})();
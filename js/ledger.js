@@ -0,0 +1,507 @@
+// Ledger - Balance and settlement math shared by the group pages (no DOM access)
+// All money is handled as integer minor units (paise/cents) to avoid float drift.
+// Expenses keep their own currency; shares and balances are converted to the group's base currency.
+(function() {
+    'use strict';
+
+    // Looks like a member ID rather than a participant display name. Accounts use their email;
+    // guests get guest_<timestamp>; older accounts got a lowercase name plus at least 4 digits
+    // (e.g. kaladeep0226). Names with a digit or two, like "Priya2", stay participants.
+    const ID_PATTERNS = [
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+        /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        /^guest_\d+$/,
+        /^[a-z][a-z0-9]*\d{4,}$/
+    ];
+
+    const DEFAULT_CURRENCY = 'INR';
+
+    // Split types whose splitWeights hold a percentage or a share count per participant
+    const WEIGHTED_SPLIT_TYPES = ['percentage', 'shares'];
+
+    // Cache of currency code -> decimal digits
+    const minorDigitsCache = new Map();
+
+    const Ledger = {
+        DEFAULT_CURRENCY: DEFAULT_CURRENCY,
+
+        // Decimal digits of a currency's minor unit (INR/USD/EUR: 2, JPY: 0)
+        getMinorDigits: function(currency) {
+            const code = currency || DEFAULT_CURRENCY;
+            if (!minorDigitsCache.has(code)) {
+                let digits = 2;
+                try {
+                    digits = new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+                } catch (e) {
+                    // Unknown code - keep 2 digits
+                }
+                minorDigitsCache.set(code, digits);
+            }
+            return minorDigitsCache.get(code);
+        },
+
+        // Minor units per major unit (100 paise per rupee)
+        getMinorFactor: function(currency) {
+            return Math.pow(10, this.getMinorDigits(currency));
+        },
+
+        // Major amount (number or input string) -> integer minor units
+        toMinor: function(value, currency) {
+            const num = typeof value === 'string' ? parseFloat(value.trim()) : Number(value);
+            if (!isFinite(num)) return NaN;
+            return Math.round(num * this.getMinorFactor(currency));
+        },
+
+        // Integer minor units -> major amount for display or legacy columns
+        fromMinor: function(units, currency) {
+            return (parseInt(units, 10) || 0) / this.getMinorFactor(currency);
+        },
+
+        // Currency an expense was entered in (older expenses are in the group's base currency)
+        getCurrency: function(expense, baseCurrency) {
+            return (expense && expense.currency) || baseCurrency || DEFAULT_CURRENCY;
+        },
+
+        // Base-currency units per 1 unit of the expense's currency
+        getExchangeRate: function(expense, baseCurrency) {
+            if (this.getCurrency(expense, baseCurrency) === (baseCurrency || DEFAULT_CURRENCY)) return 1;
+            const rate = parseFloat(expense.exchangeRate);
+            return rate > 0 ? rate : 1;
+        },
+
+        // Expense total converted to base-currency minor units
+        toBaseMinor: function(expense, baseCurrency) {
+            const base = baseCurrency || DEFAULT_CURRENCY;
+            const currency = this.getCurrency(expense, base);
+            const amountMinor = this.getAmountMinor(expense);
+            if (currency === base) return amountMinor;
+
+            const major = this.fromMinor(amountMinor, currency) * this.getExchangeRate(expense, base);
+            return this.toMinor(major, base);
+        },
+
+        // Rescale integer parts to a new total, keeping proportions; leftover units go to
+        // the largest fractional remainders (earlier entries win ties), so parts sum exactly
+        rescale: function(parts, total) {
+            const sum = parts.reduce((acc, part) => acc + part, 0);
+            if (sum === 0) return this.allocate(total, parts.length);
+
+            const exact = parts.map(part => (part * total) / sum);
+            const result = exact.map(value => Math.floor(value));
+            let leftover = total - result.reduce((acc, part) => acc + part, 0);
+
+            const order = exact
+                .map((value, index) => ({ index: index, fraction: value - Math.floor(value) }))
+                .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+            for (let k = 0; leftover > 0 && k < order.length; k++, leftover--) {
+                result[order[k].index] += 1;
+            }
+            return result;
+        },
+
+        // Split total into count integer parts; leftover units go to the first parts
+        // (in splitBetween order), so [100 paise / 3] -> [34, 33, 33]
+        allocate: function(total, count) {
+            if (!count || count < 1) return [];
+            const base = Math.floor(total / count);
+            const remainder = total - base * count;
+            const parts = [];
+            for (let i = 0; i < count; i++) {
+                parts.push(base + (i < remainder ? 1 : 0));
+            }
+            return parts;
+        },
+
+        // Expense total in minor units of its own currency (older cached entries only have a float amount)
+        getAmountMinor: function(expense) {
+            if (!expense) return 0;
+            if (Number.isInteger(expense.amountMinor)) return expense.amountMinor;
+            return this.toMinor(expense.amount || 0, expense.currency) || 0;
+        },
+
+        // Custom split in minor units, or null when the expense has none (itemized splits derive it from the items)
+        getCustomAmountsMinor: function(expense) {
+            if (!expense) return null;
+            if (expense.splitType === 'itemized') {
+                const itemization = this.getItemization(expense);
+                return itemization ? this.itemize(itemization).shares : (expense.customAmountsMinor || null);
+            }
+            if (expense.splitType !== 'custom') return null;
+            if (expense.customAmountsMinor) return expense.customAmountsMinor;
+            if (!expense.customAmounts) return null;
+
+            const minor = {};
+            Object.entries(expense.customAmounts).forEach(([name, value]) => {
+                minor[name] = this.toMinor(value, expense.currency) || 0;
+            });
+            return minor;
+        },
+
+        // True for 'percentage' and 'shares' splits
+        isWeightedSplit: function(splitType) {
+            return WEIGHTED_SPLIT_TYPES.includes(splitType);
+        },
+
+        // Map of participant -> percentage or share count, or null when the split isn't weighted
+        getSplitWeights: function(expense) {
+            if (!expense || !this.isWeightedSplit(expense.splitType)) return null;
+            return expense.splitWeights || null;
+        },
+
+        // Receipt breakdown { items: [{ name, amountMinor, splitBetween }], taxMinor, tipMinor }, or null
+        getItemization: function(expense) {
+            if (!expense || expense.splitType !== 'itemized') return null;
+            const itemization = expense.itemization;
+            return itemization && Array.isArray(itemization.items) ? itemization : null;
+        },
+
+        // Resolve a receipt: each item is split equally among its people, then tax and tip
+        // are spread in proportion to everyone's item subtotal. Returns { shares, totalMinor }.
+        itemize: function(itemization) {
+            const subtotals = {};
+            let itemsTotal = 0;
+
+            (itemization.items || []).forEach(item => {
+                const people = Array.isArray(item.splitBetween) ? item.splitBetween : [];
+                const amountMinor = parseInt(item.amountMinor, 10) || 0;
+                if (people.length === 0 || amountMinor <= 0) return;
+
+                const parts = this.allocate(amountMinor, people.length);
+                people.forEach((name, index) => {
+                    subtotals[name] = (subtotals[name] || 0) + parts[index];
+                });
+                itemsTotal += amountMinor;
+            });
+
+            const extraMinor = (parseInt(itemization.taxMinor, 10) || 0) + (parseInt(itemization.tipMinor, 10) || 0);
+            const names = Object.keys(subtotals);
+            const totalMinor = itemsTotal + extraMinor;
+            const withExtras = this.rescale(names.map(name => subtotals[name]), totalMinor);
+
+            const shares = {};
+            names.forEach((name, index) => {
+                shares[name] = withExtras[index];
+            });
+            return { shares: shares, totalMinor: names.length > 0 ? totalMinor : 0 };
+        },
+
+        // True when more than one person paid towards the expense
+        hasMultiplePayers: function(expense) {
+            return !!expense && !!expense.payersMinor && Object.keys(expense.payersMinor).length > 1;
+        },
+
+        // Map of payer -> amount paid, in minor units of the expense currency (one entry for a single payer)
+        getPayersMinor: function(expense) {
+            if (!expense) return {};
+            if (this.hasMultiplePayers(expense)) return expense.payersMinor;
+            return expense.paidBy ? { [expense.paidBy]: this.getAmountMinor(expense) } : {};
+        },
+
+        // Same payers converted to base-currency minor units, limited to participants
+        getBasePayers: function(expense, participants, baseCurrency) {
+            const payers = this.getPayersMinor(expense);
+            const names = Object.keys(payers);
+            const base = baseCurrency || DEFAULT_CURRENCY;
+            const converted = this.getCurrency(expense, base) === base
+                ? names.map(name => payers[name])
+                : this.rescale(names.map(name => payers[name]), this.toBaseMinor(expense, base));
+
+            const result = {};
+            names.forEach((name, index) => {
+                if (this.isParticipantName(name, participants)) {
+                    result[name] = converted[index];
+                }
+            });
+            return result;
+        },
+
+        // Fill in minor-unit fields and refresh the derived major-unit ones
+        normalizeExpense: function(expense) {
+            const amountMinor = this.getAmountMinor(expense);
+            const customAmountsMinor = this.getCustomAmountsMinor(expense);
+            const currency = expense.currency;
+            const normalized = {
+                ...expense,
+                amountMinor: amountMinor,
+                amount: this.fromMinor(amountMinor, currency),
+                customAmountsMinor: customAmountsMinor,
+                customAmounts: null,
+                splitWeights: this.getSplitWeights(expense),
+                itemization: this.getItemization(expense),
+                payersMinor: null
+            };
+
+            // paidBy stays the first payer's name so single-payer code keeps working
+            if (this.hasMultiplePayers(expense)) {
+                normalized.payersMinor = expense.payersMinor;
+                normalized.paidBy = Object.keys(expense.payersMinor)[0];
+            }
+
+            if (customAmountsMinor) {
+                normalized.customAmounts = {};
+                Object.entries(customAmountsMinor).forEach(([name, units]) => {
+                    normalized.customAmounts[name] = this.fromMinor(units, currency);
+                });
+            }
+
+            const splitCount = Array.isArray(expense.splitBetween) ? expense.splitBetween.length : 0;
+            normalized.perPersonAmount = splitCount > 0 ? this.fromMinor(Math.round(amountMinor / splitCount), currency) : 0;
+            return normalized;
+        },
+
+        // True if the entry records a settlement payment rather than spending
+        isPayment: function(expense) {
+            return !!expense && expense.type === 'payment';
+        },
+
+        // Build a payment entry in the base currency: "from" paid "to" (credits from, debits to)
+        createPayment: function(from, to, amountMinor, baseCurrency) {
+            return this.normalizeExpense({
+                type: 'payment',
+                name: 'Payment',
+                amountMinor: amountMinor,
+                currency: baseCurrency || DEFAULT_CURRENCY,
+                exchangeRate: 1,
+                paidBy: from,
+                splitBetween: [to],
+                splitType: 'equal'
+            });
+        },
+
+        // Total group spending in base-currency minor units (payments are not spending)
+        totalSpent: function(expenses, baseCurrency) {
+            return (expenses || []).reduce((sum, expense) => {
+                return this.isPayment(expense) ? sum : sum + this.toBaseMinor(expense, baseCurrency);
+            }, 0);
+        },
+
+        // True if value looks like a member ID (email, guest or older generated ID)
+        isMemberId: function(value) {
+            return typeof value === 'string' && ID_PATTERNS.some(pattern => pattern.test(value));
+        },
+
+        // True if value is one of the group's participant names (not a member ID)
+        isParticipantName: function(value, participants) {
+            if (typeof value !== 'string' || !Array.isArray(participants)) return false;
+            if (!participants.includes(value)) return false;
+            return !this.isMemberId(value);
+        },
+
+        // Keep only participant names from a list
+        filterParticipants: function(names, participants) {
+            if (!Array.isArray(names)) return [];
+            return names.filter(name => this.isParticipantName(name, participants));
+        },
+
+        // Map of participant -> share of a single expense, in minor units of the expense currency
+        getExpenseShares: function(expense, participants) {
+            const shares = {};
+            if (!expense) return shares;
+
+            const splitBetween = this.filterParticipants(expense.splitBetween || [], participants);
+            if (splitBetween.length === 0) return shares;
+
+            const customAmounts = this.getCustomAmountsMinor(expense);
+            if (customAmounts) {
+                splitBetween.forEach(name => {
+                    shares[name] = customAmounts[name] || 0;
+                });
+                return shares;
+            }
+
+            // Percentages and share counts are both proportions of the total
+            const weights = this.getSplitWeights(expense);
+            if (weights) {
+                const parts = this.rescale(splitBetween.map(name => Math.max(0, parseFloat(weights[name]) || 0)), this.getAmountMinor(expense));
+                splitBetween.forEach((name, index) => {
+                    shares[name] = parts[index];
+                });
+                return shares;
+            }
+
+            const parts = this.allocate(this.getAmountMinor(expense), splitBetween.length);
+            splitBetween.forEach((name, index) => {
+                shares[name] = parts[index];
+            });
+            return shares;
+        },
+
+        // Same shares converted to base-currency minor units; they add up to toBaseMinor()
+        getBaseShares: function(expense, participants, baseCurrency) {
+            const shares = this.getExpenseShares(expense, participants);
+            const base = baseCurrency || DEFAULT_CURRENCY;
+            if (this.getCurrency(expense, base) === base) return shares;
+
+            const names = Object.keys(shares);
+            const converted = this.rescale(names.map(name => shares[name]), this.toBaseMinor(expense, base));
+            const result = {};
+            names.forEach((name, index) => {
+                result[name] = converted[index];
+            });
+            return result;
+        },
+
+        // Map of participant -> total share across all expenses, in base-currency minor units
+        calculateShares: function(participants, expenses, baseCurrency) {
+            const list = Array.isArray(participants) ? participants : [];
+            const totals = {};
+            list.forEach(name => {
+                totals[name] = 0;
+            });
+
+            (expenses || []).forEach(expense => {
+                if (this.isPayment(expense)) return; // Payments move money, they are nobody's share
+                const shares = this.getBaseShares(expense, list, baseCurrency);
+                Object.entries(shares).forEach(([name, share]) => {
+                    if (totals[name] !== undefined) {
+                        totals[name] += share;
+                    }
+                });
+            });
+            return totals;
+        },
+
+        // Map of participant -> net balance in base-currency minor units (positive: is owed, negative: owes); payments included
+        calculateBalances: function(participants, expenses, baseCurrency) {
+            const list = Array.isArray(participants) ? participants : [];
+            const balances = {};
+            list.forEach(name => {
+                balances[name] = 0;
+            });
+
+            (expenses || []).forEach(expense => {
+                const shares = this.getBaseShares(expense, list, baseCurrency);
+                if (Object.keys(shares).length === 0) return; // Skip if no valid participants
+
+                // Payers get credited for what they paid (only if they're participants)
+                Object.entries(this.getBasePayers(expense, list, baseCurrency)).forEach(([name, paid]) => {
+                    balances[name] += paid;
+                });
+
+                // Everyone who shared the expense gets debited
+                Object.entries(shares).forEach(([name, share]) => {
+                    balances[name] -= share;
+                });
+            });
+            return balances;
+        },
+
+        // Greedy creditor/debtor matching: [{ from, to, amount }] with amount in the balances' minor units
+        calculateSettlements: function(balances) {
+            const creditors = [];
+            const debtors = [];
+
+            Object.entries(balances || {}).forEach(([name, amount]) => {
+                if (amount > 0) {
+                    creditors.push({ name: name, amount: amount });
+                } else if (amount < 0) {
+                    debtors.push({ name: name, amount: -amount });
+                }
+            });
+
+            creditors.sort((a, b) => b.amount - a.amount);
+            debtors.sort((a, b) => b.amount - a.amount);
+
+            const settlements = [];
+            let i = 0, j = 0;
+
+            while (i < creditors.length && j < debtors.length) {
+                const creditor = creditors[i];
+                const debtor = debtors[j];
+                const amount = Math.min(creditor.amount, debtor.amount);
+
+                settlements.push({ from: debtor.name, to: creditor.name, amount: amount });
+
+                creditor.amount -= amount;
+                debtor.amount -= amount;
+
+                if (creditor.amount === 0) i++;
+                if (debtor.amount === 0) j++;
+            }
+            return settlements;
+        },
+
+        // What each pair of participants owes one another, netted: [{ from, to, amount }] in base-currency
+        // minor units. Everyone who shared an expense owes each payer part of their share, in proportion
+        // to what that payer paid; a payment is an expense its receiver "shared", so it cancels the debt.
+        // Each person's debts and credits add up to their calculateBalances entry.
+        calculatePairDebts: function(participants, expenses, baseCurrency) {
+            const list = Array.isArray(participants) ? participants : [];
+            const owed = new Map(); // from -> Map(to -> amount)
+            const add = (from, to, amount) => {
+                if (!owed.has(from)) owed.set(from, new Map());
+                owed.get(from).set(to, (owed.get(from).get(to) || 0) + amount);
+            };
+
+            (expenses || []).forEach(expense => {
+                const shares = this.getBaseShares(expense, list, baseCurrency);
+                const payers = this.getBasePayers(expense, list, baseCurrency);
+                const payerNames = Object.keys(payers);
+                if (Object.keys(shares).length === 0 || payerNames.length === 0) return;
+
+                Object.entries(shares).forEach(([name, share]) => {
+                    const parts = this.rescale(payerNames.map(payer => payers[payer]), share);
+                    payerNames.forEach((payer, index) => {
+                        if (payer !== name && parts[index] !== 0) add(name, payer, parts[index]);
+                    });
+                });
+            });
+
+            const debts = [];
+            list.forEach((a, i) => {
+                list.slice(i + 1).forEach(b => {
+                    const net = ((owed.get(a) && owed.get(a).get(b)) || 0) - ((owed.get(b) && owed.get(b).get(a)) || 0);
+                    if (net > 0) debts.push({ from: a, to: b, amount: net });
+                    if (net < 0) debts.push({ from: b, to: a, amount: -net });
+                });
+            });
+            return debts;
+        },
+
+        // The participant name a user goes by in a group: the one they claimed
+        // (group.participantClaims maps name -> user id), or else an unclaimed one spelled like
+        // their own name. null when neither is there.
+        participantForUser: function(group, user) {
+            if (!group || !user) return null;
+            const participants = Array.isArray(group.participants) ? group.participants : [];
+            const claims = group.participantClaims || {};
+            const userId = String(user.id || '').toLowerCase();
+
+            const claimed = participants.find(name => claims[name] && String(claims[name]).toLowerCase() === userId);
+            if (claimed) return claimed;
+
+            const userName = String(user.name || '').trim().toLowerCase();
+            if (!userName) return null;
+            return participants.find(name => !claims[name] && name.trim().toLowerCase() === userName) || null;
+        },
+
+        // Participant names nobody has claimed yet
+        unclaimedParticipants: function(group) {
+            const participants = group && Array.isArray(group.participants) ? group.participants : [];
+            const claims = (group && group.participantClaims) || {};
+            return participants.filter(name => !claims[name] && this.isParticipantName(name, participants));
+        },
+
+        // Balances and settlement plan for a group object (in its base currency)
+        summarize: function(group) {
+            const participants = group && Array.isArray(group.participants) ? group.participants : [];
+            const expenses = group && Array.isArray(group.expenses) ? group.expenses : [];
+            const baseCurrency = (group && group.baseCurrency) || DEFAULT_CURRENCY;
+            const balances = this.calculateBalances(participants, expenses, baseCurrency);
+            return {
+                balances: balances,
+                settlements: this.calculateSettlements(balances)
+            };
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.Ledger = Ledger;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Ledger;
+    }
+})();
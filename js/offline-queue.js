@@ -0,0 +1,384 @@
+// OfflineQueue - Persisted log of writes made while offline, replayed in order once back online
+// An operation is { seq, type, payload, groupId, entityId, label, request, history, createdAt, attempts, nextAttemptAt, status, lastError }.
+// type: 'expense.save' | 'expense.delete' | 'group.save' | 'group.delete'; status: 'pending' | 'failed'.
+// request/history describe the write as a plain REST call so sw.js can replay it with the tab closed.
+// Stored in IndexedDB (localStorage when IndexedDB is unavailable, e.g. some private windows).
+// Loaded by the pages and, via importScripts, by the service worker.
+(function() {
+    'use strict';
+
+    const DB_NAME = 'splitxpense';
+    const DB_VERSION = 2;
+    const STORE = 'operations';
+    // Connection details the service worker needs to replay without a page (Supabase URL, keys)
+    const SETTINGS_STORE = 'settings';
+    const FALLBACK_KEY = 'spliteasy_offline_queue';
+
+    // Where supabase-js keeps the Supabase Auth session (see authStorage)
+    const AUTH_STORAGE_KEY = 'splitxpense-auth';
+
+    // Pre-queue deletes that nothing ever replayed; moved into the log once
+    const LEGACY_DELETE_QUEUE_KEY = 'spliteasy_delete_queue';
+
+    // Network failures retry forever (with backoff); anything else gives up after MAX_ATTEMPTS
+    const MAX_ATTEMPTS = 5;
+    const BASE_DELAY_MS = 2000;
+    const MAX_DELAY_MS = 5 * 60 * 1000;
+
+    // Only one tab replays at a time
+    const LOCK_NAME = 'splitxpense-offline-queue';
+
+    let dbPromise = null;
+    let operations = [];
+    let loaded = null;
+    const listeners = [];
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            dbPromise = Promise.resolve(null);
+            return dbPromise;
+        }
+
+        dbPromise = new Promise(resolve => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                    db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version (another tab, an updated service worker) upgrade
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, offline queue falls back to localStorage:', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => console.warn('Offline queue database upgrade blocked by another tab');
+        });
+        return dbPromise;
+    }
+
+    function hasLocalStorage() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    async function readAll() {
+        const db = await openDatabase();
+        if (!db) {
+            if (!hasLocalStorage()) return operations.slice();
+            try {
+                return JSON.parse(localStorage.getItem(FALLBACK_KEY) || '[]');
+            } catch (e) {
+                return [];
+            }
+        }
+        const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+        return requestToPromise(store.getAll());
+    }
+
+    // put/delete one operation; returns the stored operation (with its seq)
+    async function write(mode, operation) {
+        const db = await openDatabase();
+        if (!db) {
+            if (mode === 'put') {
+                if (!operation.seq) {
+                    operation.seq = operations.reduce((max, op) => Math.max(max, op.seq), 0) + 1;
+                }
+                operations = operations.filter(op => op.seq !== operation.seq).concat(operation);
+                sortOperations();
+            } else {
+                operations = operations.filter(op => op.seq !== operation.seq);
+            }
+            if (hasLocalStorage()) {
+                localStorage.setItem(FALLBACK_KEY, JSON.stringify(operations));
+            }
+            return operation;
+        }
+
+        const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+        if (mode === 'put') {
+            operation.seq = await requestToPromise(store.put(operation));
+        } else {
+            await requestToPromise(store.delete(operation.seq));
+        }
+        return operation;
+    }
+
+    function sortOperations() {
+        operations.sort((a, b) => a.seq - b.seq);
+    }
+
+    function notify() {
+        const counts = { pending: OfflineQueue.pendingCount(), failed: OfflineQueue.failedCount() };
+        listeners.forEach(listener => {
+            try {
+                listener(counts);
+            } catch (e) {
+                console.warn('Offline queue listener failed:', e);
+            }
+        });
+    }
+
+    function withLock(fn) {
+        if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+            return navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock => lock ? fn() : { skipped: true });
+        }
+        return fn();
+    }
+
+    const OfflineQueue = {
+        MAX_ATTEMPTS: MAX_ATTEMPTS,
+
+        // Load the log (and adopt the old localStorage delete queue); safe to call repeatedly
+        init: function() {
+            if (!loaded) {
+                loaded = (async () => {
+                    operations = (await readAll()).filter(Boolean);
+
+                    let legacy = [];
+                    try {
+                        legacy = hasLocalStorage() ? JSON.parse(localStorage.getItem(LEGACY_DELETE_QUEUE_KEY) || '[]') : [];
+                    } catch (e) {
+                        legacy = [];
+                    }
+                    for (const item of legacy) {
+                        if (!item || !item.id || (item.type !== 'expense' && item.type !== 'group')) continue;
+                        await this.enqueue(`${item.type}.delete`, item.type === 'group' ? { groupId: item.id, forceDelete: false } : { expenseId: item.id }, {
+                            entityId: item.id,
+                            groupId: item.type === 'group' ? item.id : null,
+                            createdAt: item.timestamp ? new Date(item.timestamp).toISOString() : undefined
+                        });
+                    }
+                    if (legacy.length > 0) {
+                        localStorage.removeItem(LEGACY_DELETE_QUEUE_KEY);
+                    }
+
+                    sortOperations();
+                    notify();
+                })().catch(error => {
+                    console.warn('Offline queue could not be loaded:', error);
+                });
+            }
+            return loaded;
+        },
+
+        // Re-read the log, e.g. after another tab or the service worker changed it
+        reload: async function() {
+            operations = (await readAll()).filter(Boolean);
+            sortOperations();
+            notify();
+        },
+
+        // Append an operation; meta: { groupId, entityId, label, request, history }
+        enqueue: async function(type, payload, meta = {}) {
+            const operation = {
+                type: type,
+                payload: JSON.parse(JSON.stringify(payload)),
+                groupId: meta.groupId || null,
+                entityId: meta.entityId || null,
+                label: meta.label || null,
+                request: meta.request ? JSON.parse(JSON.stringify(meta.request)) : null,
+                history: meta.history ? JSON.parse(JSON.stringify(meta.history)) : null,
+                createdAt: meta.createdAt || new Date().toISOString(),
+                attempts: 0,
+                nextAttemptAt: 0,
+                status: 'pending',
+                lastError: null
+            };
+            await write('put', operation);
+            if (!operations.some(op => op.seq === operation.seq)) {
+                operations.push(operation);
+            }
+            sortOperations();
+            notify();
+            return operation;
+        },
+
+        all: function() {
+            return operations.slice();
+        },
+
+        pending: function() {
+            return operations.filter(op => op.status === 'pending');
+        },
+
+        pendingCount: function() {
+            return operations.filter(op => op.status === 'pending').length;
+        },
+
+        failedCount: function() {
+            return operations.filter(op => op.status === 'failed').length;
+        },
+
+        hasPending: function() {
+            return operations.some(op => op.status === 'pending');
+        },
+
+        remove: async function(operation) {
+            await write('delete', operation);
+            operations = operations.filter(op => op.seq !== operation.seq);
+            notify();
+        },
+
+        // Put operations that gave up back in line
+        retryFailed: async function() {
+            for (const operation of operations.filter(op => op.status === 'failed')) {
+                Object.assign(operation, { status: 'pending', attempts: 0, nextAttemptAt: 0, lastError: null });
+                await write('put', operation);
+            }
+            notify();
+        },
+
+        // 2s, 4s, 8s ... capped at 5 minutes
+        retryDelay: function(attempts) {
+            return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)));
+        },
+
+        // Milliseconds until the first pending operation may be tried again (0 = now, null = nothing pending)
+        nextRetryIn: function() {
+            const first = this.pending()[0];
+            if (!first) return null;
+            return Math.max(0, (first.nextAttemptAt || 0) - Date.now());
+        },
+
+        // Run pending operations oldest first. handlers[type](payload, operation) performs one;
+        // isRetryable(error) tells a network failure (stop, keep order) from a rejected write.
+        // A handler throwing an error with .deferred stops the run without counting an attempt
+        // (the service worker does this for writes only the app can make).
+        // options.ignoreBackoff: try now even if a retry is scheduled later (connectivity just came back).
+        // Resolves to { done, failed, remaining, waitMs, deferred } - or { skipped: true } while another tab or the worker replays.
+        replay: function(handlers, isRetryable, options = {}) {
+            return withLock(async () => {
+                await this.reload();
+                const result = { done: 0, failed: 0, remaining: 0, waitMs: null, deferred: false };
+
+                for (const operation of this.pending()) {
+                    if (!options.ignoreBackoff && operation.nextAttemptAt && operation.nextAttemptAt > Date.now()) {
+                        result.waitMs = operation.nextAttemptAt - Date.now();
+                        break;
+                    }
+
+                    const handler = handlers[operation.type];
+                    try {
+                        if (typeof handler !== 'function') {
+                            throw new Error(`No handler for ${operation.type}`);
+                        }
+                        await handler(operation.payload, operation);
+                        await this.remove(operation);
+                        result.done++;
+                    } catch (error) {
+                        if (error && error.deferred) {
+                            result.deferred = true;
+                            break;
+                        }
+
+                        operation.attempts += 1;
+                        operation.lastError = error && error.message ? error.message : String(error);
+                        const retryable = isRetryable ? isRetryable(error) : true;
+
+                        if (!retryable && operation.attempts >= MAX_ATTEMPTS) {
+                            // Give up on this one so it does not block everything behind it
+                            operation.status = 'failed';
+                            await write('put', operation);
+                            result.failed++;
+                            notify();
+                            continue;
+                        }
+
+                        operation.nextAttemptAt = Date.now() + this.retryDelay(operation.attempts);
+                        await write('put', operation);
+                        result.waitMs = this.retryDelay(operation.attempts);
+                        notify();
+                        break;
+                    }
+                }
+
+                result.remaining = this.pendingCount();
+                return result;
+            });
+        },
+
+        // listener({ pending, failed }) on every change
+        onChange: function(listener) {
+            listeners.push(listener);
+        },
+
+        setSetting: async function(key, value) {
+            const db = await openDatabase();
+            if (!db) return;
+            const store = db.transaction(SETTINGS_STORE, 'readwrite').objectStore(SETTINGS_STORE);
+            await requestToPromise(store.put({ key: key, value: value }));
+        },
+
+        getSetting: async function(key) {
+            const db = await openDatabase();
+            if (!db) return null;
+            const store = db.transaction(SETTINGS_STORE, 'readonly').objectStore(SETTINGS_STORE);
+            const record = await requestToPromise(store.get(key));
+            return record ? record.value : null;
+        },
+
+        removeSetting: async function(key) {
+            const db = await openDatabase();
+            if (!db) return;
+            const store = db.transaction(SETTINGS_STORE, 'readwrite').objectStore(SETTINGS_STORE);
+            await requestToPromise(store.delete(key));
+        },
+
+        AUTH_STORAGE_KEY: AUTH_STORAGE_KEY,
+
+        // supabase-js auth storage in the settings store, so the service worker can read the session
+        // and refresh it while every tab is closed (sw.js sessionAccessToken). localStorage when
+        // IndexedDB is unavailable; the service worker then leaves queued writes for the app.
+        authStorage: {
+            getItem: async function(key) {
+                const db = await openDatabase();
+                if (!db) return hasLocalStorage() ? localStorage.getItem(key) : null;
+                return OfflineQueue.getSetting(key);
+            },
+            setItem: async function(key, value) {
+                const db = await openDatabase();
+                if (!db) {
+                    if (hasLocalStorage()) localStorage.setItem(key, value);
+                    return;
+                }
+                await OfflineQueue.setSetting(key, value);
+            },
+            removeItem: async function(key) {
+                const db = await openDatabase();
+                if (!db) {
+                    if (hasLocalStorage()) localStorage.removeItem(key);
+                    return;
+                }
+                await OfflineQueue.removeSetting(key);
+            }
+        }
+    };
+
+    // Make globally available (window in pages, self in the service worker)
+    if (typeof window !== 'undefined') {
+        window.OfflineQueue = OfflineQueue;
+    } else if (typeof self !== 'undefined') {
+        self.OfflineQueue = OfflineQueue;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OfflineQueue;
+    }
+})();
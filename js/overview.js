@@ -0,0 +1,188 @@
+// Overview - The current user's position across all of their groups (no DOM access)
+// Balances come from Ledger.summarize, per group, under the participant name the user goes by
+// there (Ledger.participantForUser). Groups keep their own base currency, so totals are per currency.
+// Amounts are minor units: positive means the user is owed, negative that they owe.
+(function() {
+    'use strict';
+
+    // Loaded after ledger.js in the browser
+    const Ledger = typeof window !== 'undefined' && window.Ledger ? window.Ledger : require('./ledger.js');
+
+    // Key of the current user in settleAcrossGroups results
+    const YOU = 'you';
+
+    function groupId(group) {
+        return group.supabaseId || group.id;
+    }
+
+    // Only an account ties names in different groups to one person: the current user, or whoever
+    // claimed the name. An unclaimed name is a different person in every group, even if it reads the same.
+    // yourName is the participant the current user goes by in this group.
+    function personKey(group, name, yourName) {
+        if (yourName && name === yourName) return YOU;
+        const claimedBy = (group.participantClaims || {})[name];
+        return claimedBy ? `user:${String(claimedBy).toLowerCase()}` : `name:${groupId(group)}:${name.trim().toLowerCase()}`;
+    }
+
+    function pairDebts(group) {
+        return Ledger.calculatePairDebts(group.participants, group.expenses, group.baseCurrency || Ledger.DEFAULT_CURRENCY);
+    }
+
+    // A person's group balances on the side of their net balance (debts for a debtor, credits for a
+    // creditor), after the opposite side has cancelled the smallest of them: they add up to the net,
+    // as positive amounts, largest first
+    function remainingEntries(person) {
+        const sign = person.net < 0 ? -1 : 1;
+        const entries = person.entries
+            .filter(entry => entry.amount * sign > 0)
+            .map(entry => ({ ...entry, amount: entry.amount * sign }))
+            .sort((a, b) => a.amount - b.amount);
+
+        let cancelled = person.entries
+            .filter(entry => entry.amount * sign < 0)
+            .reduce((sum, entry) => sum - entry.amount * sign, 0);
+        entries.forEach(entry => {
+            const taken = Math.min(entry.amount, cancelled);
+            entry.amount -= taken;
+            cancelled -= taken;
+        });
+        return entries.filter(entry => entry.amount > 0).reverse();
+    }
+
+    // Pay off amount from the front of entries; returns what each entry gave
+    function takeEntries(entries, amount) {
+        const taken = [];
+        while (amount > 0 && entries.length > 0) {
+            const entry = entries[0];
+            const part = Math.min(entry.amount, amount);
+            taken.push({ ...entry, amount: part });
+            entry.amount -= part;
+            amount -= part;
+            if (entry.amount === 0) entries.shift();
+        }
+        return taken;
+    }
+
+    const Overview = {
+        YOU: YOU,
+
+        // { groups: [{ groupId, name, participant, currency, balance }],
+        //   totals: { currency: balance },
+        //   people: [{ key, name, currency, amount, groups: [{ groupId, name, amount }] }] }
+        // people is what the user and each other person owe one another (Ledger.calculatePairDebts),
+        // added up over the groups they share
+        forUser: function(groups, user) {
+            const result = { groups: [], totals: {}, people: [] };
+            const people = new Map();
+
+            (groups || []).forEach(group => {
+                const participant = Ledger.participantForUser(group, user);
+                if (!participant) return;
+
+                const currency = group.baseCurrency || Ledger.DEFAULT_CURRENCY;
+                const summary = Ledger.summarize(group);
+                const balance = summary.balances[participant] || 0;
+                result.groups.push({ groupId: groupId(group), name: group.name, participant: participant, currency: currency, balance: balance });
+                result.totals[currency] = (result.totals[currency] || 0) + balance;
+
+                pairDebts(group).forEach(debt => {
+                    if (debt.from !== participant && debt.to !== participant) return;
+                    const other = debt.from === participant ? debt.to : debt.from;
+                    const amount = debt.from === participant ? -debt.amount : debt.amount;
+
+                    const otherKey = personKey(group, other, participant);
+                    const key = `${otherKey}|${currency}`;
+                    if (!people.has(key)) {
+                        people.set(key, { key: otherKey, name: other, currency: currency, amount: 0, groups: [] });
+                    }
+                    const person = people.get(key);
+                    person.amount += amount;
+                    person.groups.push({ groupId: groupId(group), name: group.name, amount: amount });
+                });
+            });
+
+            // Largest amounts first; people who came out even across groups are left out
+            result.people = [...people.values()]
+                .filter(person => person.amount !== 0)
+                .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+            return result;
+        },
+
+        // Settle several groups at once with as few payments as the greedy matcher finds: everyone's
+        // balances in every group (Ledger.summarize) added up per person and currency, then debtors
+        // matched to creditors (Ledger.calculateSettlements). Ravi owing you in one group while you owe
+        // him in another comes out as one payment, and so does a chain (A owes B, B owes C: A pays C).
+        // Each payment lists the group balances it pays off ({ groupId, name, participant, key, amount }):
+        // the payer's debts, then the receiver's credits. A balance cancelled by the same person's
+        // opposite balance in another group is not listed.
+        // [{ from, to, fromKey, toKey, currency, amount, groups }], the user's own payments first
+        settleAcrossGroups: function(groups, user) {
+            const people = new Map(); // `${key}|${currency}` -> { key, name, currency, net, entries }
+
+            (groups || []).forEach(group => {
+                const currency = group.baseCurrency || Ledger.DEFAULT_CURRENCY;
+                const yourName = Ledger.participantForUser(group, user);
+                const balances = Ledger.summarize(group).balances;
+
+                Object.keys(balances).forEach(participant => {
+                    const balance = balances[participant];
+                    if (balance === 0) return;
+                    const key = personKey(group, participant, yourName);
+                    const id = `${key}|${currency}`;
+                    if (!people.has(id)) {
+                        people.set(id, { key: key, name: participant, currency: currency, net: 0, entries: [] });
+                    }
+                    const person = people.get(id);
+                    person.net += balance;
+                    person.entries.push({ groupId: groupId(group), name: group.name, participant: participant, key: key, amount: balance });
+                });
+            });
+
+            const payments = [];
+            const currencies = new Set([...people.values()].map(person => person.currency));
+            currencies.forEach(currency => {
+                const inCurrency = new Map();
+                people.forEach(person => {
+                    if (person.currency === currency) inCurrency.set(person.key, person);
+                });
+
+                const nets = {};
+                const owing = new Map(); // key -> group balances still to pay off, largest first
+                inCurrency.forEach((person, key) => {
+                    nets[key] = person.net;
+                    owing.set(key, remainingEntries(person));
+                });
+
+                Ledger.calculateSettlements(nets).forEach(settlement => {
+                    const payer = inCurrency.get(settlement.from);
+                    const receiver = inCurrency.get(settlement.to);
+                    payments.push({
+                        from: payer.name,
+                        to: receiver.name,
+                        fromKey: payer.key,
+                        toKey: receiver.key,
+                        currency: currency,
+                        amount: settlement.amount,
+                        groups: takeEntries(owing.get(payer.key), settlement.amount)
+                            .concat(takeEntries(owing.get(receiver.key), settlement.amount))
+                    });
+                });
+            });
+
+            return payments.sort((a, b) => {
+                const mine = payment => (payment.fromKey === YOU || payment.toKey === YOU ? 0 : 1);
+                return mine(a) - mine(b) || b.amount - a.amount;
+            });
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.Overview = Overview;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Overview;
+    }
+})();
@@ -0,0 +1,137 @@
+// Receipts - Photo attachments on expenses: compressed in the browser, stored in the Supabase "receipts" bucket
+// An attachment is { path, url, name, size, width, height, uploadedAt }; expenses keep an array of them.
+(function() {
+    'use strict';
+
+    const BUCKET = 'receipts';
+
+    // sw.js serves receipt photos from this cache so they open offline
+    const CACHE_NAME = 'splitxpense-receipts';
+
+    // Long edge after compression; plenty to read a printed bill
+    const MAX_DIMENSION = 1600;
+    const JPEG_QUALITY = 0.7;
+
+    const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+
+    function loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const objectUrl = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(objectUrl);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(objectUrl);
+                reject(new Error(`${file.name || 'File'} is not an image this browser can read`));
+            };
+            image.src = objectUrl;
+        });
+    }
+
+    function newFileName() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    const Receipts = {
+        MAX_PER_EXPENSE: 5,
+
+        getAttachments: function(expense) {
+            return expense && Array.isArray(expense.attachments) ? expense.attachments : [];
+        },
+
+        // Scale down to MAX_DIMENSION and re-encode as JPEG; resolves to { blob, width, height }
+        compress: async function(file) {
+            if (!file || !/^image\//.test(file.type)) {
+                throw new Error('Only image files can be attached');
+            }
+            if (file.size > MAX_SOURCE_BYTES) {
+                throw new Error(`${file.name} is larger than 20 MB`);
+            }
+
+            const image = await loadImage(file);
+            const scale = Math.min(1, MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+            const width = Math.max(1, Math.round(image.naturalWidth * scale));
+            const height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            // JPEG has no transparency - keep PNG screenshots readable on white
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, width, height);
+            context.drawImage(image, 0, 0, width, height);
+
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(result => result ? resolve(result) : reject(new Error('Could not compress image')), 'image/jpeg', JPEG_QUALITY);
+            });
+            return { blob: blob, width: width, height: height };
+        },
+
+        // Compress and upload one photo under the group's folder; resolves to the attachment to store on the expense
+        upload: async function(file, groupId) {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase not available');
+            }
+
+            const { blob, width, height } = await this.compress(file);
+            const path = `${groupId}/${newFileName()}.jpg`;
+            const storage = window.supabaseClient.storage.from(BUCKET);
+
+            const { error } = await storage.upload(path, blob, {
+                contentType: 'image/jpeg',
+                cacheControl: '31536000',
+                upsert: false
+            });
+            if (error) {
+                throw error;
+            }
+
+            const { data } = storage.getPublicUrl(path);
+            return {
+                path: path,
+                url: data.publicUrl,
+                name: file.name || 'receipt.jpg',
+                size: blob.size,
+                width: width,
+                height: height,
+                uploadedAt: new Date().toISOString()
+            };
+        },
+
+        // Delete stored photos and drop them from the offline cache
+        remove: async function(attachments) {
+            const list = (attachments || []).filter(attachment => attachment && attachment.path);
+            if (list.length === 0 || !window.supabaseClient) return;
+
+            const { error } = await window.supabaseClient.storage.from(BUCKET).remove(list.map(attachment => attachment.path));
+            if (error) {
+                throw error;
+            }
+
+            if (typeof caches !== 'undefined') {
+                try {
+                    const cache = await caches.open(CACHE_NAME);
+                    await Promise.all(list.map(attachment => cache.delete(attachment.url)));
+                } catch (e) {
+                    // Cache API unavailable (private mode) - nothing cached to clear
+                }
+            }
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.Receipts = Receipts;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Receipts;
+    }
+})();
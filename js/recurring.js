@@ -0,0 +1,185 @@
+// Recurring - Schedules for repeating expenses (rent, subscriptions) and the expenses they generate
+// Shared by the group pages and the /api/recurring cron (no DOM access).
+// Dates are calendar-day keys "YYYY-MM-DD"; date math runs in UTC so no time zone can shift a day.
+(function() {
+    'use strict';
+
+    const FREQUENCIES = ['weekly', 'monthly', 'custom'];
+
+    // Expense fields copied from the template onto every generated expense
+    const EXPENSE_FIELDS = [
+        'name', 'amountMinor', 'currency', 'exchangeRate', 'paidBy', 'payersMinor', 'splitBetween',
+        'splitType', 'customAmountsMinor', 'splitWeights', 'itemization', 'category', 'note'
+    ];
+
+    // Upper bound on occurrences created for one template in a single run (a long-unopened group catches up over several)
+    const MAX_CATCH_UP = 60;
+
+    const dateKeyRegex = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    function parseKey(key) {
+        const match = typeof key === 'string' ? key.match(dateKeyRegex) : null;
+        if (!match) return null;
+        return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    }
+
+    function formatKey(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    function addDays(key, days) {
+        const date = parseKey(key);
+        date.setUTCDate(date.getUTCDate() + days);
+        return formatKey(date);
+    }
+
+    // Same day of month as the start, clamped to shorter months (a 31st start falls on the 30th or 28th)
+    function addMonths(startKey, months) {
+        const start = parseKey(startKey);
+        const year = start.getUTCFullYear();
+        const month = start.getUTCMonth() + months;
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return formatKey(new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))));
+    }
+
+    function daysBetween(fromKey, toKey) {
+        return Math.round((parseKey(toKey) - parseKey(fromKey)) / 86400000);
+    }
+
+    const Recurring = {
+        FREQUENCIES: FREQUENCIES,
+        EXPENSE_FIELDS: EXPENSE_FIELDS,
+
+        // Days between occurrences for weekly and custom schedules (monthly has no fixed length)
+        getIntervalDays: function(template) {
+            if (template.frequency === 'weekly') return 7;
+            const days = parseInt(template.intervalDays, 10);
+            return days > 0 ? days : 0;
+        },
+
+        isValid: function(template) {
+            if (!template || !FREQUENCIES.includes(template.frequency) || !parseKey(template.startDate)) return false;
+            return template.frequency === 'monthly' || this.getIntervalDays(template) > 0;
+        },
+
+        // The index-th occurrence (0 is the start date)
+        occurrence: function(template, index) {
+            if (template.frequency === 'monthly') return addMonths(template.startDate, index);
+            return addDays(template.startDate, index * this.getIntervalDays(template));
+        },
+
+        // First occurrence strictly after afterKey (the start date if afterKey is before it)
+        nextDueDate: function(template, afterKey) {
+            if (!afterKey || afterKey < template.startDate) return template.startDate;
+
+            let index;
+            if (template.frequency === 'monthly') {
+                const start = parseKey(template.startDate);
+                const after = parseKey(afterKey);
+                index = (after.getUTCFullYear() - start.getUTCFullYear()) * 12 + after.getUTCMonth() - start.getUTCMonth();
+            } else {
+                index = Math.floor(daysBetween(template.startDate, afterKey) / this.getIntervalDays(template));
+            }
+
+            let next = this.occurrence(template, index);
+            while (next <= afterKey) {
+                index++;
+                next = this.occurrence(template, index);
+            }
+            return next;
+        },
+
+        // Occurrences from the template's next due date up to and including todayKey
+        dueDates: function(template, todayKey) {
+            const dates = [];
+            if (!template.active || !this.isValid(template)) return dates;
+
+            let due = template.nextDue || template.startDate;
+            while (due && due <= todayKey && dates.length < MAX_CATCH_UP) {
+                dates.push(due);
+                due = this.nextDueDate(template, due);
+            }
+            return dates;
+        },
+
+        // Expense fields to store on a template, taken from an app expense
+        fromExpense: function(expense) {
+            const fields = {};
+            EXPENSE_FIELDS.forEach(field => {
+                if (expense[field] !== undefined && expense[field] !== null) fields[field] = expense[field];
+            });
+            return fields;
+        },
+
+        // The expense a template generates for one due date; recurringId/recurringDue link it back
+        buildExpense: function(template, dueKey) {
+            return {
+                ...template.expense,
+                date: dueKey,
+                createdAt: new Date().toISOString(),
+                type: 'expense',
+                recurringId: template.id,
+                recurringDue: dueKey
+            };
+        },
+
+        // "Every month", "Every week", "Every 10 days"
+        describe: function(template) {
+            if (!template) return '';
+            if (template.frequency === 'monthly') return 'Every month';
+            if (template.frequency === 'weekly') return 'Every week';
+            const days = this.getIntervalDays(template);
+            return days === 1 ? 'Every day' : `Every ${days} days`;
+        },
+
+        // recurring_expenses row -> template
+        fromRow: function(row) {
+            let expense = row.template || {};
+            if (typeof expense === 'string') {
+                try {
+                    expense = JSON.parse(expense);
+                } catch (e) {
+                    expense = {};
+                }
+            }
+            return {
+                id: row.id,
+                groupId: row.group_id,
+                frequency: row.frequency,
+                intervalDays: row.interval_days || null,
+                startDate: row.start_date,
+                nextDue: row.next_due,
+                active: row.active !== false,
+                createdBy: row.created_by || null,
+                expense: expense
+            };
+        },
+
+        // template -> recurring_expenses row (id is left to the database for new templates)
+        toRow: function(template) {
+            const row = {
+                group_id: template.groupId,
+                frequency: template.frequency,
+                interval_days: template.frequency === 'custom' ? this.getIntervalDays(template) : null,
+                start_date: template.startDate,
+                next_due: template.nextDue || template.startDate,
+                active: template.active !== false,
+                template: this.fromExpense(template.expense || {}),
+                updated_at: new Date().toISOString()
+            };
+            if (template.id) row.id = template.id;
+            if (template.createdBy) row.created_by = template.createdBy;
+            return row;
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.Recurring = Recurring;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Recurring;
+    }
+})();
@@ -0,0 +1,80 @@
+// Roles - Who may do what inside a group (no DOM access)
+// The creator (createdBy) is the owner; other members have a role in group.roles
+// ({ userId: 'admin' | 'member' | 'viewer' }), 'member' when none is set.
+// supabase-roles.sql enforces the same rules on the server.
+(function() {
+    'use strict';
+
+    const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+    // Roles the owner can hand out (there is only ever one owner)
+    const ASSIGNABLE_ROLES = ['admin', 'member', 'viewer'];
+
+    const LABELS = {
+        owner: 'Owner',
+        admin: 'Admin',
+        member: 'Member',
+        viewer: 'Viewer'
+    };
+
+    // editExpense/deleteExpense are granted by editAnyExpense, or by addExpense for your own expenses
+    const PERMISSIONS = {
+        owner: ['editGroup', 'deleteGroup', 'manageRoles', 'invite', 'inviteAdmin', 'addExpense', 'editAnyExpense'],
+        admin: ['editGroup', 'invite', 'addExpense', 'editAnyExpense'],
+        member: ['invite', 'addExpense'],
+        viewer: []
+    };
+
+    function sameId(a, b) {
+        return !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+    }
+
+    const Roles = {
+        ROLES: ROLES,
+        ASSIGNABLE_ROLES: ASSIGNABLE_ROLES,
+
+        // 'owner' | 'admin' | 'member' | 'viewer', or null for someone outside the group.
+        // Matched by user id only, like group_role() in supabase-roles.sql.
+        roleOf: function(group, user) {
+            if (!group || !user) return null;
+            if (sameId(group.createdBy, user.id)) return 'owner';
+
+            const members = Array.isArray(group.members) ? group.members : [];
+            if (!members.some(m => sameId(m, user.id))) return null;
+
+            const roles = group.roles || {};
+            const key = Object.keys(roles).find(id => sameId(id, user.id));
+            return key && ASSIGNABLE_ROLES.includes(roles[key]) ? roles[key] : 'member';
+        },
+
+        // Role of another member, for the roles list (memberId as stored in group.members)
+        roleOfMember: function(group, memberId) {
+            return this.roleOf(group, { id: memberId });
+        },
+
+        // can(group, user, 'editExpense', expense)
+        can: function(group, user, action, expense) {
+            const permissions = PERMISSIONS[this.roleOf(group, user)] || [];
+            if (action === 'editExpense' || action === 'deleteExpense') {
+                if (permissions.includes('editAnyExpense')) return true;
+                // Expenses cached before their creator was kept have none; the server has the last word
+                return permissions.includes('addExpense') && !!expense && (!expense.createdBy || sameId(expense.createdBy, user.id));
+            }
+            return permissions.includes(action);
+        },
+
+        label: function(role) {
+            return LABELS[role] || LABELS.member;
+        }
+    };
+
+    // Make globally available
+    if (typeof window !== 'undefined') {
+        window.Roles = Roles;
+    }
+
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Roles;
+    }
+})();
@@ -88,9 +88,13 @@ window.initializeSupabase = function() {
             currentConfig.anonKey,
             {
                 auth: {
-                    persistSession: true,  // Used for admin page login
+                    persistSession: true,
                     autoRefreshToken: true,
-                    detectSessionInUrl: true
+                    detectSessionInUrl: true,  // Sign-in links come back with the session in the URL
+                    // The app pages keep the session in IndexedDB, where the service worker refreshes
+                    // it for background sync (admin.html keeps the default localStorage)
+                    storage: window.OfflineQueue ? window.OfflineQueue.authStorage : undefined,
+                    storageKey: window.OfflineQueue ? window.OfflineQueue.AUTH_STORAGE_KEY : undefined
                 },
                 realtime: {
                     params: {
@@ -147,7 +151,7 @@ async function testSupabaseConnection() {
 }
 
 // ========================================
-// AUTH (email + password)
+// AUTH (Supabase Auth: email link or email + password)
 // ========================================
 
 /** Get current session; returns { data: { session }, error } */
@@ -188,6 +192,43 @@ window.authSignIn = async function(email, password) {
     });
 };
 
+/** Email a sign-in link; opening it signs the user in on redirectTo. name is kept for new accounts. */
+window.authSendSignInLink = async function(email, name, redirectTo) {
+    if (!window.supabaseClient) return { data: null, error: new Error('No Supabase client') };
+    return await window.supabaseClient.auth.signInWithOtp({
+        email: (email || '').toLowerCase().trim(),
+        options: {
+            data: name ? { name: name } : {},
+            emailRedirectTo: redirectTo || window.location.href
+        }
+    });
+};
+
+/** The user saved on this device (spliteasy_current_user), or null. */
+window.getSavedUser = function() {
+    try {
+        return JSON.parse(localStorage.getItem('spliteasy_current_user') || 'null');
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * currentUser for the Supabase Auth session, or null when signed out. RLS and the group RPCs
+ * identify users by the session's email, so only this user can sync.
+ * A name edited on this device is kept; the result is saved as spliteasy_current_user.
+ */
+window.getSignedInUser = async function() {
+    var result = await window.getAuthSession();
+    var session = result && result.data ? result.data.session : null;
+    var user = session ? window.getCurrentUserFromAuth(session.user) : null;
+    if (!user) return null;
+    var saved = window.getSavedUser();
+    if (saved && saved.id === user.id && saved.name) user.name = saved.name;
+    localStorage.setItem('spliteasy_current_user', JSON.stringify(user));
+    return user;
+};
+
 /** Sign out. */
 window.authSignOut = async function() {
     if (!window.supabaseClient) return;
@@ -12,7 +12,11 @@ if (!window.splitEasySync) {
         lastSyncTime: null,
         syncRetryCount: 0,
         maxRetries: 3,
-        schemaChecked: false
+        schemaChecked: false,
+        // A user saved on this device without a Supabase Auth session (from before sign-in links,
+        // or their session ran out): the database answers nobody else, so the pages show cached data
+        // and queue changes until they open the link emailed to them
+        awaitingSignIn: false
     };
 }
 
@@ -40,6 +44,11 @@ let SCHEMA_MAPPING = {
         deletionConfirmedBy: 'deletion_confirmed_by',  // JSONB array - user IDs who confirmed
         deletionRestoredBy: 'deletion_restored_by',  // JSONB array - user IDs who want to restore
         deletionInitiatedAt: 'deletion_initiated_at',  // Timestamp
+        baseCurrency: 'base_currency',  // ISO code balances and settlements are shown in
+        categories: 'categories',  // JSONB array of expense category names (null = app defaults)
+        version: 'version',  // Bumped by a trigger on every update; writes only apply to the version they were based on
+        roles: 'roles',  // JSONB object member ID -> 'admin' | 'member' | 'viewer' (the creator is the owner); set by invites
+        participantClaims: 'participant_claims',  // JSONB object participant name -> user ID who claimed it; set by claim_group_participant
         createdAt: 'created_at',
         updatedAt: 'updated_at'
         // NO: total_expenses (computed from expenses)
@@ -55,11 +64,31 @@ let SCHEMA_MAPPING = {
         createdAt: 'created_at',
         updatedAt: 'updated_at',
         perPersonAmount: 'per_person_amount',
-        splitType: 'split_type',  // 'equal' or 'custom'
-        customAmounts: 'custom_amounts'  // JSONB object for custom split amounts
+        splitType: 'split_type',  // 'equal', 'custom', 'percentage', 'shares' or 'itemized'
+        customAmounts: 'custom_amounts',  // JSONB object for custom split amounts
+        entryType: 'entry_type',  // 'expense' or 'payment' (settlement between two participants)
+        amountMinor: 'amount_minor',  // Integer minor units (paise) - source of truth for amount
+        customAmountsMinor: 'custom_amounts_minor',  // JSONB object of integer minor units per participant
+        currency: 'currency',  // ISO code the expense was paid in
+        exchangeRate: 'exchange_rate',  // Group base-currency units per 1 unit of currency
+        splitWeights: 'split_weights',  // JSONB object of percentage or share count per participant
+        itemization: 'itemization',  // JSONB receipt breakdown: { items, taxMinor, tipMinor }
+        payersMinor: 'payers_minor',  // JSONB object payer -> minor units when several people paid (paid_by holds the first)
+        expenseDate: 'expense_date',  // Date the expense happened (created_at is when it was entered)
+        category: 'category',  // One of the group's categories
+        note: 'note',  // Free-text note
+        recurringId: 'recurring_id',  // recurring_expenses template that generated this expense
+        recurringDue: 'recurring_due',  // Due date it was generated for (unique per template)
+        attachments: 'attachments',  // JSONB array of receipt photos in the "receipts" Storage bucket
+        deletedAt: 'deleted_at',  // Set when moved to the group's trash (null = live expense)
+        deletedBy: 'deleted_by',  // User ID who deleted it
+        version: 'version'  // Bumped by a trigger on every update (see supabase-conflicts.sql)
     }
 };
 
+// Days a deleted expense stays restorable; the /api/purge-deleted cron removes older ones for good
+const TRASH_RETENTION_DAYS = 30;
+
 // Optimized schema detection with caching
 let schemaDetectionPromise = null;
 async function detectDatabaseSchema() {
@@ -89,12 +118,35 @@ async function detectDatabaseSchema() {
                 { table: 'groups', column: 'members', mapping: 'members' },
                 { table: 'groups', column: 'updated_by', mapping: 'updatedBy' },
                 { table: 'groups', column: 'updated_at', mapping: 'updatedAt' },
+                { table: 'groups', column: 'base_currency', mapping: 'baseCurrency' },
+                { table: 'groups', column: 'categories', mapping: 'categories' },
+                { table: 'groups', column: 'version', mapping: 'version' },
+                { table: 'groups', column: 'roles', mapping: 'roles' },
+                { table: 'groups', column: 'participant_claims', mapping: 'participantClaims' },
 
                 // Test expenses table - only snake_case
                 { table: 'expenses', column: 'group_id', mapping: 'groupId' },
+                { table: 'expenses', column: 'updated_at', mapping: 'updatedAt' },
                 { table: 'expenses', column: 'paid_by', mapping: 'paidBy' },
                 { table: 'expenses', column: 'split_type', mapping: 'splitType' },
-                { table: 'expenses', column: 'custom_amounts', mapping: 'customAmounts' }
+                { table: 'expenses', column: 'custom_amounts', mapping: 'customAmounts' },
+                { table: 'expenses', column: 'entry_type', mapping: 'entryType' },
+                { table: 'expenses', column: 'amount_minor', mapping: 'amountMinor' },
+                { table: 'expenses', column: 'custom_amounts_minor', mapping: 'customAmountsMinor' },
+                { table: 'expenses', column: 'currency', mapping: 'currency' },
+                { table: 'expenses', column: 'exchange_rate', mapping: 'exchangeRate' },
+                { table: 'expenses', column: 'split_weights', mapping: 'splitWeights' },
+                { table: 'expenses', column: 'itemization', mapping: 'itemization' },
+                { table: 'expenses', column: 'payers_minor', mapping: 'payersMinor' },
+                { table: 'expenses', column: 'expense_date', mapping: 'expenseDate' },
+                { table: 'expenses', column: 'category', mapping: 'category' },
+                { table: 'expenses', column: 'note', mapping: 'note' },
+                { table: 'expenses', column: 'recurring_id', mapping: 'recurringId' },
+                { table: 'expenses', column: 'recurring_due', mapping: 'recurringDue' },
+                { table: 'expenses', column: 'attachments', mapping: 'attachments' },
+                { table: 'expenses', column: 'deleted_at', mapping: 'deletedAt' },
+                { table: 'expenses', column: 'deleted_by', mapping: 'deletedBy' },
+                { table: 'expenses', column: 'version', mapping: 'version' }
             ];
 
             // Test all columns in parallel for faster detection (snake_case only - no camelCase to avoid 400 errors)
@@ -137,7 +189,7 @@ async function detectDatabaseSchema() {
 
 // FIXED: Schema-aware user sync
 async function syncUserToDatabase(userData) {
-    if (window.splitEasySync.isOffline || !window.supabaseClient) {
+    if (window.splitEasySync.isOffline || window.splitEasySync.awaitingSignIn || !window.supabaseClient) {
         console.log('Skipping user sync - offline or no client');
         return null;
     }
@@ -185,12 +237,464 @@ async function syncUserToDatabase(userData) {
     }
 }
 
+// ========================================
+// GROUP HISTORY (append-only audit log)
+// ========================================
+
+// Append one entry to group_history; history must never block the change itself, so failures only warn.
+// details: { changes, snapshot, automatic } - the server records the signed-in user as the actor,
+// or 'Automatic' when automatic is set (recurring expenses)
+async function recordHistory(groupId, entityType, entityId, action, details = {}) {
+    if (!window.supabaseClient || !groupId) return;
+
+    try {
+        const { error } = await window.supabaseClient.rpc('record_group_history', {
+            p_group_id: groupId,
+            p_entity_type: entityType,
+            p_entity_id: entityId ? String(entityId) : null,
+            p_action: action,
+            p_changes: details.changes && details.changes.length > 0 ? details.changes : null,
+            p_snapshot: details.snapshot || null,
+            p_automatic: !!details.automatic
+        });
+        if (error) {
+            console.warn('Failed to record history (run supabase-history.sql if missing):', error.message);
+        }
+    } catch (error) {
+        console.warn('Failed to record history:', error);
+    }
+}
+
+// Fields of a groups row that the history compares
+function groupHistoryFields(row) {
+    const groupSchema = SCHEMA_MAPPING.groups;
+    let participants = row[groupSchema.participants] || row.participants || [];
+    if (typeof participants === 'string') {
+        try {
+            participants = JSON.parse(participants);
+        } catch (e) {
+            participants = [];
+        }
+    }
+    return {
+        name: row[groupSchema.name] || row.name || '',
+        participants: Array.isArray(participants) ? participants : [],
+        baseCurrency: row[groupSchema.baseCurrency] || row.base_currency || Ledger.DEFAULT_CURRENCY,
+        categories: row[groupSchema.categories] || row.categories || null
+    };
+}
+
+function mapHistoryFromDatabase(row) {
+    return {
+        id: row.id,
+        groupId: row.group_id,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        action: row.action,
+        actorId: row.actor_id,
+        actorName: row.actor_name,
+        changes: row.changes || [],
+        snapshot: row.snapshot || {},
+        createdAt: row.created_at
+    };
+}
+
+// Newest first
+async function fetchGroupHistory(groupId, limit = 200) {
+    if (!window.supabaseClient || !groupId) return [];
+
+    const { data, error } = await window.supabaseClient
+        .from('group_history')
+        .select('*')
+        .eq('group_id', groupId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        console.warn('Group history not available:', error.message);
+        throw error;
+    }
+    return (data || []).map(mapHistoryFromDatabase);
+}
+
+// ========================================
+// OFFLINE WRITE QUEUE
+// ========================================
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let queueReplayTimer = null;
+
+// The request never reached Supabase (no connection, DNS, dropped socket) - as opposed to a rejected write
+function isNetworkError(error) {
+    if (!error) return false;
+    if (error instanceof TypeError) return true;
+    return /Failed to fetch|NetworkError|Load failed|fetch failed|network request failed/i.test(String(error.message || error));
+}
+
+// Writes are queued while offline or awaiting sign-in, and while older queued writes are still
+// waiting so they land in order
+function shouldQueueWrite(options) {
+    if (options.fromQueue || !window.OfflineQueue) return false;
+    return window.splitEasySync.isOffline || window.splitEasySync.awaitingSignIn || window.OfflineQueue.hasPending();
+}
+
+// Reading without a session would only see nothing, which looks like every group was deleted
+function requireSignIn() {
+    if (window.splitEasySync.awaitingSignIn) {
+        throw new Error('Not signed in - open the sign-in link to sync');
+    }
+}
+
+// Give a group or expense its UUID before it is queued, so the replay and later edits write the same row
+function ensureSupabaseId(entity) {
+    if (!entity.supabaseId) {
+        entity.supabaseId = UUID_REGEX.test(entity.id || '') ? entity.id : generateUUID();
+    }
+    return entity.supabaseId;
+}
+
+// Group UUID for a local group id (the open group, then the cached list)
+function resolveSupabaseGroupId(groupId) {
+    const openGroup = window.currentGroup;
+    if (openGroup && (openGroup.id === groupId || openGroup.supabaseId === groupId)) {
+        return ensureSupabaseId(openGroup);
+    }
+    if (UUID_REGEX.test(groupId || '')) return groupId;
+    const cached = window.AppState ? window.AppState.getGroup(groupId) : null;
+    return cached && cached.supabaseId ? cached.supabaseId : groupId;
+}
+
+// Callers get { queued: true } back instead of the saved row.
+// meta.request/meta.history let the service worker replay the write itself (see sw.js syncData).
+async function queueWrite(type, payload, meta) {
+    await window.OfflineQueue.init();
+    await window.OfflineQueue.enqueue(type, payload, meta);
+    console.log('Queued change for later sync:', type, meta.entityId);
+    await rememberSyncSettings();
+    requestBackgroundSync();
+    if (!window.splitEasySync.isOffline) {
+        scheduleQueueReplay(0);
+    }
+    return { queued: true };
+}
+
+// Only the group's own fields are needed to replay a group save; expenses queue separately
+function groupForQueue(group) {
+    const { expenses, comments, recurring, ...fields } = group;
+    return fields;
+}
+
+function queueGroupSave(group, base) {
+    ensureSupabaseId(group);
+    return queueWrite('group.save', { group: groupForQueue(group), base: base ? groupForQueue(base) : null }, {
+        groupId: group.supabaseId,
+        entityId: group.supabaseId,
+        label: group.name,
+        request: window.currentUser ? queuedSaveRequest('groups', group.supabaseId, group.version, buildGroupRecord(group, group.supabaseId)) : null,
+        history: { groupId: group.supabaseId, entityType: 'group', entityId: group.supabaseId, snapshot: { name: group.name } }
+    });
+}
+
+// Upsert for new rows; rows we have a version for only overwrite that version, and the service worker
+// leaves a mismatch (changed on another device) for the app to merge
+function queuedSaveRequest(table, id, version, record) {
+    if (!version) {
+        return { table: table, method: 'upsert', id: id, record: record };
+    }
+    return {
+        table: table,
+        method: 'update',
+        id: id,
+        match: { id: `eq.${id}`, version: `eq.${version}` },
+        record: record,
+        conflictCheck: true
+    };
+}
+
+function queueExpenseDelete(expenseId) {
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+    const groupId = window.currentGroup?.supabaseId || null;
+    const expense = (window.currentGroup?.expenses || []).find(e => e.id === expenseId || e.supabaseId === expenseId);
+    const now = new Date().toISOString();
+    return queueWrite('expense.delete', { expenseId: expenseId }, {
+        entityId: expenseId,
+        groupId: groupId,
+        request: UUID_REGEX.test(expenseId) ? {
+            table: 'expenses',
+            method: 'update',
+            match: { [expenseSchema.id]: `eq.${expenseId}`, [expenseSchema.deletedAt]: 'is.null' },
+            record: {
+                [expenseSchema.deletedAt]: now,
+                [expenseSchema.deletedBy]: window.currentUser?.id || null,
+                [expenseSchema.updatedAt]: now
+            }
+        } : null,
+        history: groupId ? { groupId: groupId, entityType: 'expense', entityId: expenseId, action: 'delete', snapshot: expense ? AuditLog.expenseSnapshot(expense) : null } : null
+    });
+}
+
+// The service worker has no supabase-js client: keep the project URL and anon key where it can
+// read them. It takes the session from the same storage as the pages and refreshes it itself.
+async function rememberSyncSettings() {
+    const config = window.SUPABASECONFIG;
+    if (!config || !config.url || !config.anonKey) return;
+    try {
+        await window.OfflineQueue.setSetting('supabase', {
+            url: config.url,
+            anonKey: config.anonKey
+        });
+    } catch (error) {
+        console.warn('Could not save sync settings for the service worker:', error);
+    }
+}
+
+// Ask the browser to wake the service worker when the connection is back, even if every tab is closed
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync ? registration.sync.register('background-sync') : null)
+        .catch(error => console.warn('Background sync not available:', error));
+}
+
+const OFFLINE_QUEUE_HANDLERS = {
+    'expense.save': async payload => {
+        if (!await syncExpenseToDatabase(payload.expense, payload.groupId, { fromQueue: true, base: payload.base })) {
+            throw new Error('Expense could not be saved');
+        }
+    },
+    'expense.delete': payload => deleteExpenseFromDatabase(payload.expenseId, { fromQueue: true }),
+    'group.save': payload => syncGroupToDatabase(payload.group, { fromQueue: true, base: payload.base }),
+    'group.delete': payload => deleteGroupFromDatabase(payload.groupId, payload.forceDelete, { fromQueue: true })
+};
+
+function scheduleQueueReplay(delayMs) {
+    if (queueReplayTimer) {
+        clearTimeout(queueReplayTimer);
+    }
+    queueReplayTimer = setTimeout(() => {
+        queueReplayTimer = null;
+        replayOfflineQueue();
+    }, delayMs);
+}
+
+// Send queued writes oldest first; on a network failure wait (2s, 4s, 8s ... 5 min) and try again
+async function replayOfflineQueue() {
+    if (!window.OfflineQueue) return null;
+    await window.OfflineQueue.init();
+    if (!window.OfflineQueue.hasPending() || window.splitEasySync.isOffline || window.splitEasySync.awaitingSignIn) return null;
+
+    // Supabase and the signed-in user come up a moment after page load
+    if (!window.supabaseClient || !window.currentUser) {
+        scheduleQueueReplay(5000);
+        return null;
+    }
+
+    await detectDatabaseSchema();
+    const result = await window.OfflineQueue.replay(OFFLINE_QUEUE_HANDLERS, isNetworkError);
+
+    if (result.skipped) {
+        // Another tab is replaying
+        scheduleQueueReplay(5000);
+        return result;
+    }
+
+    if (result.done > 0) {
+        console.log('Replayed', result.done, 'queued changes;', result.remaining, 'still waiting');
+    }
+    if (result.failed > 0) {
+        showNotificationSafe(`${result.failed} offline change${result.failed === 1 ? '' : 's'} could not be saved`, 'error');
+    }
+    if (result.remaining > 0 && result.waitMs !== null) {
+        scheduleQueueReplay(result.waitMs);
+    }
+    return result;
+}
+
+// Lay changes that are still queued over a group fetched from the server, so a refresh does not hide them
+function applyQueuedChanges(group) {
+    if (!window.OfflineQueue || !group) return group;
+    const groupIds = [group.id, group.supabaseId].filter(Boolean);
+    const sameExpense = (expense, id) => expense.id === id || expense.supabaseId === id;
+
+    for (const operation of window.OfflineQueue.pending()) {
+        if (!groupIds.includes(operation.groupId)) continue;
+
+        if (operation.type === 'expense.save') {
+            const queued = Ledger.normalizeExpense(operation.payload.expense);
+            const index = group.expenses.findIndex(expense => sameExpense(expense, operation.entityId) || expense.id === queued.id);
+            if (index === -1) {
+                group.expenses.push(queued);
+            } else {
+                group.expenses[index] = queued;
+            }
+        } else if (operation.type === 'expense.delete') {
+            group.expenses = group.expenses.filter(expense => !sameExpense(expense, operation.entityId));
+        } else if (operation.type === 'group.save') {
+            const queuedGroup = operation.payload.group;
+            ['name', 'members', 'participants', 'baseCurrency', 'categories'].forEach(field => {
+                if (queuedGroup[field] !== undefined) group[field] = queuedGroup[field];
+            });
+        }
+    }
+    return group;
+}
+
+// "3 changes waiting to sync" pill; failed changes can be retried from it
+function renderPendingChanges(counts) {
+    if (!document.body) return;
+    let badge = document.getElementById('pendingChangesBadge');
+    if (counts.pending === 0 && counts.failed === 0) {
+        if (badge) badge.remove();
+        return;
+    }
+
+    if (!badge) {
+        badge = document.createElement('button');
+        badge.type = 'button';
+        badge.id = 'pendingChangesBadge';
+        badge.className = 'pending-changes';
+        badge.addEventListener('click', async () => {
+            if (window.OfflineQueue.failedCount() > 0) {
+                await window.OfflineQueue.retryFailed();
+            }
+            replayOfflineQueue();
+        });
+        document.body.appendChild(badge);
+    }
+
+    badge.classList.toggle('failed', counts.failed > 0);
+    badge.textContent = counts.failed > 0
+        ? `${counts.failed} change${counts.failed === 1 ? '' : 's'} failed to sync - tap to retry`
+        : `${counts.pending} change${counts.pending === 1 ? '' : 's'} waiting to sync`;
+    badge.title = window.splitEasySync.isOffline ? 'You are offline' : 'Syncing...';
+}
+
+if (window.OfflineQueue) {
+    window.OfflineQueue.onChange(renderPendingChanges);
+    window.OfflineQueue.init().then(() => scheduleQueueReplay(2000));
+}
+
+// The service worker replayed queued writes while this tab was closed or in the background
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', async event => {
+        const message = event.data || {};
+        if (message.type !== 'OFFLINE_QUEUE_REPLAYED' || !window.OfflineQueue) return;
+        await window.OfflineQueue.reload();
+        if (message.done > 0) {
+            showNotificationSafe(`${message.done} offline change${message.done === 1 ? '' : 's'} synced`, 'success');
+        }
+        if (message.failed > 0) {
+            showNotificationSafe(`${message.failed} offline change${message.failed === 1 ? '' : 's'} could not be saved`, 'error');
+        }
+        // Whatever the worker left (group deletes, expired sign-in) is ours to send
+        if (message.remaining > 0) {
+            scheduleQueueReplay(0);
+        }
+    });
+}
+
+window.addEventListener('online', () => {
+    window.splitEasySync.isOffline = false;
+    scheduleQueueReplay(0);
+});
+
+window.addEventListener('offline', () => {
+    window.splitEasySync.isOffline = true;
+});
+
+// ========================================
+// CONCURRENT EDITS (optimistic concurrency)
+// ========================================
+
+// The server row moved on from the version our copy was read at
+function isStaleWrite(previousRow, localVersion, schema) {
+    if (!previousRow || !localVersion || !window.Conflicts) return false;
+    const remoteVersion = previousRow[schema.version];
+    return !!remoteVersion && remoteVersion !== localVersion;
+}
+
+// Settle fields changed on both sides: the page's conflict dialog, or their version when there is none
+async function askToResolveConflict(result) {
+    if (typeof window.showConflictDialog === 'function') {
+        return window.showConflictDialog(result);
+    }
+    showNotificationSafe('Someone else changed the same fields at the same time - kept their version', 'info');
+    return {};
+}
+
+// Merge our edit into the newer server row and save it against that row's version.
+// Without options.base we cannot tell what we changed, so the server copy wins (stale cache, full resync).
+async function resolveExpenseConflict(expense, groupId, remoteRow, options) {
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+    const remote = mapExpenseFromDatabase(remoteRow);
+
+    if (remoteRow[expenseSchema.deletedAt]) {
+        showNotificationSafe(`"${remote.name}" was deleted on another device - restore it from the trash to edit it`, 'error');
+        return options.fromQueue ? remoteRow : null;
+    }
+    if (!options.base) {
+        console.log('Local copy of expense is older than the server, keeping the server version:', remote.id);
+        return remoteRow;
+    }
+
+    const result = Conflicts.mergeExpense(Ledger.normalizeExpense(options.base), Ledger.normalizeExpense(expense), remote);
+    console.log('Expense changed on another device - merged fields, conflicts:', result.conflicts.map(conflict => conflict.key));
+    const resolved = result.conflicts.length > 0
+        ? Conflicts.resolve(result, await askToResolveConflict(result))
+        : result.merged;
+
+    Object.assign(expense, Ledger.normalizeExpense({ ...resolved, id: expense.id, supabaseId: expense.supabaseId, version: remote.version }));
+    return syncExpenseToDatabase(expense, groupId, { ...options, base: remote });
+}
+
+// App fields of a groups row that concurrent edits are merged on
+function mapGroupFieldsFromDatabase(row) {
+    const groupSchema = SCHEMA_MAPPING.groups;
+    let members = row[groupSchema.members] || row.members || [];
+    if (typeof members === 'string') {
+        try {
+            members = JSON.parse(members);
+        } catch (e) {
+            members = [];
+        }
+    }
+    return {
+        ...groupHistoryFields(row),
+        members: Array.isArray(members) ? members : [],
+        version: row[groupSchema.version] || row.version || null
+    };
+}
+
+async function resolveGroupConflict(group, remoteRow, options) {
+    const remote = mapGroupFieldsFromDatabase(remoteRow);
+    if (!options.base) {
+        console.log('Local copy of group is older than the server, keeping the server version:', group.supabaseId);
+        return remoteRow;
+    }
+
+    const result = Conflicts.mergeGroup(options.base, group, remote);
+    console.log('Group changed on another device - merged fields, conflicts:', result.conflicts.map(conflict => conflict.key));
+    const resolved = result.conflicts.length > 0
+        ? Conflicts.resolve(result, await askToResolveConflict(result))
+        : result.merged;
+
+    ['name', 'baseCurrency', 'categories', 'members', 'participants', 'version'].forEach(field => {
+        group[field] = resolved[field];
+    });
+    return syncGroupToDatabase(group, { ...options, base: remote });
+}
+
 // FIXED: Schema-aware group sync
-async function syncGroupToDatabase(group) {
+async function syncGroupToDatabase(group, options = {}) {
     console.log('🔄 syncGroupToDatabase called with group:', group);
     console.log('🔄 isOffline:', window.splitEasySync?.isOffline);
     console.log('🔄 supabaseClient:', !!window.supabaseClient);
     console.log('🔄 currentUser:', window.currentUser);
+
+    if (shouldQueueWrite(options) && window.currentUser) {
+        return queueGroupSave(group, options.base);
+    }
     
     if (window.splitEasySync.isOffline || !window.supabaseClient || !window.currentUser) {
         const reason = !window.supabaseClient ? 'no Supabase client' : 
@@ -209,16 +713,8 @@ async function syncGroupToDatabase(group) {
 
         const groupSchema = SCHEMA_MAPPING.groups;
         
-        // Generate UUID for Supabase (database expects UUID, not string ID)
-        // Store mapping: group.supabaseId = UUID, group.id = local string ID
-        function generateUUID() {
-            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                const r = Math.random() * 16 | 0;
-                const v = c === 'x' ? r : (r & 0x3 | 0x8);
-                return v.toString(16);
-            });
-        }
-        
+        // Database expects a UUID (generateUUID below), not the local string ID:
+        // group.supabaseId = UUID, group.id = local string ID
         // Determine the Supabase ID for this group
         // Priority: 1) group.supabaseId, 2) group.id (if it's a UUID), 3) generate new UUID
         let supabaseId = group.supabaseId;
@@ -249,34 +745,54 @@ async function syncGroupToDatabase(group) {
         
         console.log('Syncing group with supabaseId:', supabaseId, 'group.id:', group.id);
         
-        // Build group record with all available columns
-        // Separate registered user IDs (members) from non-registered participant names
-        const members = Array.isArray(group.members) ? group.members : [];
-        const participants = Array.isArray(group.participants) ? group.participants : [];
-        
-        const groupRecord = {
-            [groupSchema.id]: supabaseId, // Use UUID for Supabase
-            [groupSchema.name]: group.name,
-            [groupSchema.createdBy]: group.createdBy || window.currentUser.id,
-            [groupSchema.updatedBy]: window.currentUser.id,
-            [groupSchema.members]: members,  // Registered user IDs only
-            [groupSchema.participants]: participants,  // Non-registered member names
-            [groupSchema.createdAt]: group.createdAt || new Date().toISOString(),
-            [groupSchema.updatedAt]: new Date().toISOString()
-        };
+        const groupRecord = buildGroupRecord(group, supabaseId);
 
         console.log('📤 Group record structure:', JSON.stringify(groupRecord, null, 2));
         console.log('📤 Using schema mapping:', groupSchema);
 
-        // Use upsert - Supabase will handle conflicts based on primary key
-        console.log('📤 Attempting to upsert group to Supabase...');
-        const { data, error } = await window.supabaseClient
+        // Previous version, for the history diff
+        const { data: previousRow } = await window.supabaseClient
             .from('groups')
-            .upsert(groupRecord, {
-                onConflict: 'id'  // Use 'id' as the conflict column
-            })
-            .select()
-            .single();
+            .select('*')
+            .eq(groupSchema.id, supabaseId)
+            .maybeSingle();
+
+        // Someone else saved this group since our copy was fetched
+        if (isStaleWrite(previousRow, group.version, groupSchema)) {
+            return resolveGroupConflict(group, previousRow, options);
+        }
+
+        let data;
+        let error;
+        if (previousRow && group.version) {
+            // Only overwrite the version this edit was based on
+            ({ data, error } = await window.supabaseClient
+                .from('groups')
+                .update(groupRecord)
+                .eq(groupSchema.id, supabaseId)
+                .eq(groupSchema.version, group.version)
+                .select()
+                .maybeSingle());
+            if (!error && !data) {
+                // Lost a race with another save between the read and the write
+                const { data: latestRow } = await window.supabaseClient
+                    .from('groups')
+                    .select('*')
+                    .eq(groupSchema.id, supabaseId)
+                    .maybeSingle();
+                return resolveGroupConflict(group, latestRow || previousRow, options);
+            }
+        } else {
+            // Use upsert - Supabase will handle conflicts based on primary key
+            console.log('📤 Attempting to upsert group to Supabase...');
+            ({ data, error } = await window.supabaseClient
+                .from('groups')
+                .upsert(groupRecord, {
+                    onConflict: 'id'  // Use 'id' as the conflict column
+                })
+                .select()
+                .single());
+        }
         
         console.log('📥 Supabase response - data:', data);
         console.log('📥 Supabase response - error:', error);
@@ -296,6 +812,16 @@ async function syncGroupToDatabase(group) {
         }
 
         console.log('✅ Group synced successfully:', data);
+        group.version = data[groupSchema.version] || group.version || null;
+
+        if (!previousRow) {
+            await recordHistory(supabaseId, 'group', supabaseId, 'create', { snapshot: groupHistoryFields(data) });
+        } else {
+            const changes = AuditLog.diffGroup(groupHistoryFields(previousRow), groupHistoryFields(data));
+            if (changes.length > 0) {
+                await recordHistory(supabaseId, 'group', supabaseId, 'update', { changes: changes, snapshot: { name: groupHistoryFields(data).name } });
+            }
+        }
         return data;
     } catch (error) {
         console.error('❌ Failed to sync group:', error);
@@ -305,13 +831,92 @@ async function syncGroupToDatabase(group) {
             details: error.details,
             hint: error.hint
         });
+        // Connection dropped mid-request: keep the change for later
+        if (!options.fromQueue && window.OfflineQueue && isNetworkError(error)) {
+            return queueGroupSave(group, options.base);
+        }
         // Re-throw the error so calling code knows it failed
         throw error;
     }
 }
 
+// Build the groups row for an app group (supabaseId must already be a UUID)
+function buildGroupRecord(group, supabaseId) {
+    const groupSchema = SCHEMA_MAPPING.groups;
+
+    // Separate registered user IDs (members) from non-registered participant names
+    const members = Array.isArray(group.members) ? group.members : [];
+    const participants = Array.isArray(group.participants) ? group.participants : [];
+
+    return {
+        [groupSchema.id]: supabaseId, // Use UUID for Supabase
+        [groupSchema.name]: group.name,
+        [groupSchema.createdBy]: group.createdBy || window.currentUser.id,
+        [groupSchema.updatedBy]: window.currentUser.id,
+        [groupSchema.members]: members,  // Registered user IDs only
+        [groupSchema.participants]: participants,  // Non-registered member names
+        [groupSchema.baseCurrency]: group.baseCurrency || Ledger.DEFAULT_CURRENCY,
+        [groupSchema.categories]: Array.isArray(group.categories) ? group.categories : null,
+        [groupSchema.createdAt]: group.createdAt || new Date().toISOString(),
+        [groupSchema.updatedAt]: new Date().toISOString()
+    };
+}
+
+// Generate UUID for expense if needed (database expects UUID)
+function generateUUID() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        const r = Math.random() * 16 | 0;
+        const v = c === 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+    });
+}
+
+// Build the expenses row for an app expense (ids must already be UUIDs)
+function buildExpenseRecord(expense, supabaseExpenseId, supabaseGroupId) {
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+
+    // Minor units are the source of truth; major-unit columns are derived for older clients
+    const normalized = Ledger.normalizeExpense(expense);
+
+    // Build expense record with all available columns
+    return {
+        [expenseSchema.id]: supabaseExpenseId,
+        [expenseSchema.groupId]: supabaseGroupId,
+        [expenseSchema.description]: expense.name || expense.description,
+        [expenseSchema.amount]: normalized.amount,
+        [expenseSchema.amountMinor]: normalized.amountMinor,
+        [expenseSchema.paidBy]: normalized.paidBy || 'unknown',
+        [expenseSchema.payersMinor]: normalized.payersMinor,
+        [expenseSchema.splitBetween]: Array.isArray(expense.splitBetween) ? expense.splitBetween : [],
+        // Kept on edits: members may only change expenses they created (see supabase-roles.sql)
+        [expenseSchema.createdBy]: expense.createdBy || window.currentUser.id,
+        [expenseSchema.createdAt]: expense.createdAt || expense.date || new Date().toISOString(),
+        [expenseSchema.expenseDate]: toDateKey(expense.date) || toDateKey(new Date()),
+        [expenseSchema.category]: expense.category || null,
+        [expenseSchema.note]: expense.note || null,
+        [expenseSchema.updatedAt]: new Date().toISOString(),
+        [expenseSchema.perPersonAmount]: normalized.perPersonAmount,
+        [expenseSchema.splitType]: expense.splitType || 'equal',
+        [expenseSchema.customAmounts]: normalized.customAmounts,
+        [expenseSchema.customAmountsMinor]: normalized.customAmountsMinor,
+        [expenseSchema.splitWeights]: normalized.splitWeights,
+        [expenseSchema.itemization]: normalized.itemization,
+        [expenseSchema.currency]: expense.currency || window.currentGroup?.baseCurrency || Ledger.DEFAULT_CURRENCY,
+        [expenseSchema.exchangeRate]: parseFloat(expense.exchangeRate) || 1,
+        [expenseSchema.entryType]: expense.type || 'expense',
+        [expenseSchema.recurringId]: expense.recurringId || null,
+        [expenseSchema.recurringDue]: expense.recurringDue || null,
+        [expenseSchema.attachments]: Array.isArray(expense.attachments) && expense.attachments.length > 0 ? expense.attachments : null
+    };
+}
+
 // FIXED: Schema-aware expense sync
-async function syncExpenseToDatabase(expense, groupId) {
+// options.fromQueue: replaying the offline queue - never re-queue, and throw instead of returning null
+async function syncExpenseToDatabase(expense, groupId, options = {}) {
+    if (shouldQueueWrite(options)) {
+        return queueExpenseSave(expense, groupId, options.base);
+    }
+
     // Check if we have the necessary components
     if (window.splitEasySync.isOffline || !window.supabaseClient) {
         console.log('Skipping expense sync - offline or no client');
@@ -345,15 +950,6 @@ async function syncExpenseToDatabase(expense, groupId) {
 
         const expenseSchema = SCHEMA_MAPPING.expenses;
         
-        // Generate UUID for expense if needed (database expects UUID)
-        function generateUUID() {
-            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                const r = Math.random() * 16 | 0;
-                const v = c === 'x' ? r : (r & 0x3 | 0x8);
-                return v.toString(16);
-            });
-        }
-        
         // UUID regex pattern (declare once at function level)
         const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
         
@@ -403,32 +999,52 @@ async function syncExpenseToDatabase(expense, groupId) {
         
         console.log('Using supabaseGroupId for expense:', supabaseGroupId, 'from groupId:', groupId);
         
-        // Build expense record with all available columns
-        const expenseRecord = {
-            [expenseSchema.id]: supabaseExpenseId,
-            [expenseSchema.groupId]: supabaseGroupId,
-            [expenseSchema.description]: expense.name || expense.description,
-            [expenseSchema.amount]: parseFloat(expense.amount),
-            [expenseSchema.paidBy]: expense.paidBy || 'unknown',
-            [expenseSchema.splitBetween]: Array.isArray(expense.splitBetween) ? expense.splitBetween : [],
-            [expenseSchema.createdBy]: window.currentUser.id,
-            [expenseSchema.createdAt]: expense.date || new Date().toISOString(),
-            [expenseSchema.updatedAt]: new Date().toISOString(),
-            [expenseSchema.perPersonAmount]: expense.perPersonAmount || (parseFloat(expense.amount) / (expense.splitBetween?.length || 1)),
-            [expenseSchema.splitType]: expense.splitType || 'equal',
-            [expenseSchema.customAmounts]: expense.customAmounts || null
-        };
+        const expenseRecord = buildExpenseRecord(expense, supabaseExpenseId, supabaseGroupId);
+
+        // Previous version, for the history diff
+        const { data: previousRow } = await window.supabaseClient
+            .from('expenses')
+            .select('*')
+            .eq(expenseSchema.id, supabaseExpenseId)
+            .maybeSingle();
 
         console.log('Expense record structure:', expenseRecord);
 
-        // Use upsert with onConflict to ensure updates work correctly
-        const { data, error } = await window.supabaseClient
-            .from('expenses')
-            .upsert(expenseRecord, {
-                onConflict: expenseSchema.id || 'id'  // Use 'id' as the conflict column for updates
-            })
-            .select()
-            .single();
+        // Someone else saved this expense since our copy was fetched
+        if (isStaleWrite(previousRow, expense.version, expenseSchema)) {
+            return resolveExpenseConflict(expense, groupId, previousRow, options);
+        }
+
+        let data;
+        let error;
+        if (previousRow && expense.version) {
+            // Only overwrite the version this edit was based on
+            ({ data, error } = await window.supabaseClient
+                .from('expenses')
+                .update(expenseRecord)
+                .eq(expenseSchema.id, supabaseExpenseId)
+                .eq(expenseSchema.version, expense.version)
+                .select()
+                .maybeSingle());
+            if (!error && !data) {
+                // Lost a race with another save between the read and the write
+                const { data: latestRow } = await window.supabaseClient
+                    .from('expenses')
+                    .select('*')
+                    .eq(expenseSchema.id, supabaseExpenseId)
+                    .maybeSingle();
+                return resolveExpenseConflict(expense, groupId, latestRow || previousRow, options);
+            }
+        } else {
+            // Use upsert with onConflict to ensure updates work correctly
+            ({ data, error } = await window.supabaseClient
+                .from('expenses')
+                .upsert(expenseRecord, {
+                    onConflict: expenseSchema.id || 'id'  // Use 'id' as the conflict column for updates
+                })
+                .select()
+                .single());
+        }
 
         if (error) {
             console.error('Expense sync error details:', error);
@@ -436,6 +1052,17 @@ async function syncExpenseToDatabase(expense, groupId) {
         }
 
         console.log('Expense synced successfully:', data);
+        expense.version = data[expenseSchema.version] || expense.version || null;
+
+        const saved = mapExpenseFromDatabase(data);
+        if (!previousRow) {
+            await recordHistory(supabaseGroupId, 'expense', supabaseExpenseId, 'create', { snapshot: AuditLog.expenseSnapshot(saved) });
+        } else {
+            const changes = AuditLog.diffExpense(mapExpenseFromDatabase(previousRow), saved);
+            if (changes.length > 0) {
+                await recordHistory(supabaseGroupId, 'expense', supabaseExpenseId, 'update', { changes: changes, snapshot: AuditLog.expenseSnapshot(saved) });
+            }
+        }
         return data;
     } catch (error) {
         console.error('Failed to sync expense:', error);
@@ -445,10 +1072,430 @@ async function syncExpenseToDatabase(expense, groupId) {
             details: error.details,
             hint: error.hint
         });
+        if (options.fromQueue) {
+            throw error;
+        }
+        // Connection dropped mid-request: keep the change for later
+        if (window.OfflineQueue && isNetworkError(error)) {
+            return queueExpenseSave(expense, groupId, options.base);
+        }
         return null;
     }
 }
 
+function queueExpenseSave(expense, groupId, base) {
+    const supabaseGroupId = resolveSupabaseGroupId(groupId);
+    ensureSupabaseId(expense);
+    const canReplayAlone = window.currentUser && UUID_REGEX.test(supabaseGroupId || '');
+    return queueWrite('expense.save', { expense: expense, groupId: supabaseGroupId, base: base || null }, {
+        groupId: supabaseGroupId,
+        entityId: expense.supabaseId,
+        label: expense.name || expense.description,
+        request: canReplayAlone ? queuedSaveRequest('expenses', expense.supabaseId, expense.version, buildExpenseRecord(expense, expense.supabaseId, supabaseGroupId)) : null,
+        history: canReplayAlone ? { groupId: supabaseGroupId, entityType: 'expense', entityId: expense.supabaseId, snapshot: AuditLog.expenseSnapshot(Ledger.normalizeExpense(expense)) } : null
+    });
+}
+
+// Convert an expenses row into the app's expense object
+function mapExpenseFromDatabase(expense) {
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+    const amountMinor = expense[expenseSchema.amountMinor] ?? expense.amount_minor;
+    return Ledger.normalizeExpense({
+        id: expense[expenseSchema.id] || expense.id,
+        supabaseId: expense[expenseSchema.id] || expense.id,
+        name: expense[expenseSchema.description] || expense.description || expense.name,
+        amount: parseFloat(expense[expenseSchema.amount] || expense.amount || 0),
+        paidBy: expense[expenseSchema.paidBy] || expense.paid_by || expense.paidby,
+        splitBetween: expense[expenseSchema.splitBetween] || expense.split_between || expense.splitbetween || [],
+        // Rows entered before expense_date existed are dated by when they were created
+        date: expense[expenseSchema.expenseDate] || expense.expense_date || expense[expenseSchema.createdAt] || expense.created_at || expense.createdat,
+        createdAt: expense[expenseSchema.createdAt] || expense.created_at || expense.createdat,
+        createdBy: expense[expenseSchema.createdBy] || expense.created_by || null,
+        category: expense[expenseSchema.category] || expense.category || null,
+        note: expense[expenseSchema.note] || expense.note || null,
+        perPersonAmount: expense[expenseSchema.perPersonAmount] || expense.per_person_amount || expense.perpersonamount || 0,
+        splitType: expense[expenseSchema.splitType] || expense.split_type || 'equal',
+        customAmounts: expense[expenseSchema.customAmounts] || expense.custom_amounts || null,
+        type: expense[expenseSchema.entryType] || expense.entry_type || 'expense',
+        // Rows written before amount_minor existed fall back to the decimal columns
+        amountMinor: amountMinor !== null && amountMinor !== undefined ? parseInt(amountMinor, 10) : undefined,
+        customAmountsMinor: expense[expenseSchema.customAmountsMinor] || expense.custom_amounts_minor || undefined,
+        currency: expense[expenseSchema.currency] || expense.currency || undefined,
+        exchangeRate: parseFloat(expense[expenseSchema.exchangeRate] || expense.exchange_rate) || 1,
+        splitWeights: expense[expenseSchema.splitWeights] || expense.split_weights || undefined,
+        itemization: expense[expenseSchema.itemization] || expense.itemization || undefined,
+        payersMinor: expense[expenseSchema.payersMinor] || expense.payers_minor || undefined,
+        recurringId: expense[expenseSchema.recurringId] || expense.recurring_id || null,
+        recurringDue: expense[expenseSchema.recurringDue] || expense.recurring_due || null,
+        attachments: expense[expenseSchema.attachments] || expense.attachments || [],
+        version: expense[expenseSchema.version] || expense.version || null
+    });
+}
+
+// ========================================
+// RECURRING EXPENSES
+// ========================================
+
+// Active recurring templates for the given groups (empty if supabase-recurring.sql hasn't been run)
+async function fetchRecurringTemplates(groupIds) {
+    if (!window.supabaseClient || !groupIds || groupIds.length === 0) return [];
+
+    const { data, error } = await window.supabaseClient
+        .from('recurring_expenses')
+        .select('*')
+        .in('group_id', groupIds)
+        .eq('active', true)
+        .order('next_due', { ascending: true });
+
+    if (error) {
+        console.warn('Recurring templates not available:', error.message);
+        return [];
+    }
+    return (data || []).map(row => Recurring.fromRow(row));
+}
+
+// created_by of expenses from a template with no creator; the cron uses the same
+const RECURRING_CREATOR = 'recurring';
+
+// Templates whose expenses this user may add: like the cron, generated expenses belong to whoever
+// created the template, so that is the owner, an admin or the template's creator (never a viewer).
+// The rest are left to the cron.
+async function recurringTemplatesForUser(templates) {
+    const groupIds = [...new Set(templates.map(template => template.groupId))];
+    const groupSchema = SCHEMA_MAPPING.groups;
+    const { data, error } = await window.supabaseClient
+        .from('groups')
+        .select('*')
+        .in(groupSchema.id, groupIds);
+    if (error) throw error;
+
+    const groups = new Map((data || []).map(row => [row[groupSchema.id] || row.id, {
+        ...mapGroupFieldsFromDatabase(row),
+        createdBy: row[groupSchema.createdBy] || row.created_by,
+        roles: row[groupSchema.roles] || row.roles || {}
+    }]));
+    return templates.filter(template => {
+        const group = groups.get(template.groupId);
+        return group && Roles.can(group, window.currentUser, 'editExpense', { createdBy: template.createdBy || RECURRING_CREATOR });
+    });
+}
+
+// Create the expenses that have come due and move each template's next_due past today.
+// The (recurring_id, recurring_due) unique index makes this safe to run from several devices and the cron at once.
+async function generateDueRecurringExpenses(templates) {
+    if (window.splitEasySync.isOffline || !window.supabaseClient || !window.currentUser) return 0;
+
+    const todayKey = toDateKey(new Date());
+    const due = templates.filter(template => Recurring.dueDates(template, todayKey).length > 0);
+    if (due.length === 0) return 0;
+
+    let allowed;
+    try {
+        allowed = await recurringTemplatesForUser(due);
+    } catch (error) {
+        console.warn('Could not check who may add recurring expenses:', error.message || error);
+        return 0;
+    }
+
+    let created = 0;
+
+    for (const template of allowed) {
+        const dueDates = Recurring.dueDates(template, todayKey);
+
+        try {
+            const records = dueDates.map(dueKey => buildExpenseRecord(
+                { ...Recurring.buildExpense(template, dueKey), createdBy: template.createdBy || RECURRING_CREATOR },
+                generateUUID(),
+                template.groupId
+            ));
+            const { data, error } = await window.supabaseClient
+                .from('expenses')
+                .upsert(records, { onConflict: 'recurring_id,recurring_due', ignoreDuplicates: true })
+                .select();
+            if (error) throw error;
+            created += (data || []).length;
+
+            for (const row of data || []) {
+                const expense = mapExpenseFromDatabase(row);
+                await recordHistory(template.groupId, 'expense', expense.id, 'create', {
+                    snapshot: { ...AuditLog.expenseSnapshot(expense), recurring: true },
+                    automatic: true
+                });
+            }
+
+            // Only advance if nobody else already did
+            const nextDue = Recurring.nextDueDate(template, dueDates[dueDates.length - 1]);
+            const { error: updateError } = await window.supabaseClient
+                .from('recurring_expenses')
+                .update({ next_due: nextDue, updated_at: new Date().toISOString() })
+                .eq('id', template.id)
+                .eq('next_due', template.nextDue);
+            if (updateError) throw updateError;
+            template.nextDue = nextDue;
+        } catch (error) {
+            console.error('Failed to generate recurring expense:', template.expense?.name, error);
+        }
+    }
+
+    if (created > 0) {
+        console.log('Generated', created, 'recurring expenses');
+    }
+    return created;
+}
+
+// Templates per group id, after generating anything that has come due (called before expenses are fetched)
+async function loadRecurringForGroups(groupIds) {
+    const byGroupId = new Map();
+    try {
+        const templates = await fetchRecurringTemplates(groupIds);
+        await generateDueRecurringExpenses(templates);
+        templates.forEach(template => {
+            if (!byGroupId.has(template.groupId)) byGroupId.set(template.groupId, []);
+            byGroupId.get(template.groupId).push(template);
+        });
+    } catch (error) {
+        console.warn('Failed to load recurring expenses:', error);
+    }
+    return byGroupId;
+}
+
+// Create or update a recurring template; returns the saved template
+async function saveRecurringTemplate(template) {
+    if (!window.supabaseClient) {
+        throw new Error('Supabase not available');
+    }
+
+    const row = Recurring.toRow({
+        ...template,
+        createdBy: template.createdBy || window.currentUser?.id || null
+    });
+    const { data, error } = await window.supabaseClient
+        .from('recurring_expenses')
+        .upsert(row, { onConflict: 'id' })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Failed to save recurring template:', error);
+        throw error;
+    }
+    return Recurring.fromRow(data);
+}
+
+// Stop a template from generating further expenses (already generated ones stay)
+async function stopRecurringTemplate(templateId) {
+    if (!window.supabaseClient) {
+        throw new Error('Supabase not available');
+    }
+
+    const { error } = await window.supabaseClient
+        .from('recurring_expenses')
+        .update({ active: false, updated_at: new Date().toISOString() })
+        .eq('id', templateId);
+
+    if (error) {
+        console.error('Failed to stop recurring template:', error);
+        throw error;
+    }
+}
+
+// ========================================
+// EXPENSE COMMENTS
+// ========================================
+
+// Convert an expense_comments row into the app's comment object
+function mapCommentFromDatabase(row) {
+    return {
+        id: row.id,
+        expenseId: row.expense_id,
+        groupId: row.group_id,
+        authorId: row.author_id,
+        authorName: row.author_name || 'Someone',
+        body: row.body || '',
+        createdAt: row.created_at
+    };
+}
+
+// Comments on all expenses of the given groups, oldest first (empty if supabase-expense-comments.sql hasn't been run)
+async function fetchExpenseComments(groupIds) {
+    if (!window.supabaseClient || !groupIds || groupIds.length === 0) return [];
+
+    const { data, error } = await window.supabaseClient
+        .from('expense_comments')
+        .select('*')
+        .in('group_id', groupIds)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        console.warn('Expense comments not available:', error.message);
+        return [];
+    }
+    return (data || []).map(mapCommentFromDatabase);
+}
+
+async function addExpenseComment(expense, groupId, body) {
+    if (!window.supabaseClient || !window.currentUser) {
+        throw new Error('Supabase client or user not available');
+    }
+
+    const { data, error } = await window.supabaseClient
+        .from('expense_comments')
+        .insert({
+            expense_id: expense.supabaseId || expense.id,
+            group_id: groupId,
+            author_id: window.currentUser.id,
+            author_name: window.currentUser.name || null,
+            body: body
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Failed to add comment:', error);
+        throw error;
+    }
+    return mapCommentFromDatabase(data);
+}
+
+async function deleteExpenseComment(commentId) {
+    if (!window.supabaseClient || !window.currentUser) {
+        throw new Error('Supabase client or user not available');
+    }
+
+    // Only the author can remove their comment
+    const { error } = await window.supabaseClient
+        .from('expense_comments')
+        .delete()
+        .eq('id', commentId)
+        .eq('author_id', window.currentUser.id);
+
+    if (error) {
+        console.error('Failed to delete comment:', error);
+        throw error;
+    }
+}
+
+// ========================================
+// DELTA SYNC
+// ========================================
+
+// A cached group carries syncedAt: the newest updated_at seen on its row or any of its expenses.
+// Later loads only ask for rows updated after it; soft-deleted expenses come back as tombstones
+// (deleted_at set) and drop out of the copy.
+
+// The database stamps updated_at when a write's transaction starts (supabase-delta-sync.sql), so a
+// slow write can commit behind a mark already handed out; rows this close to the mark are read again
+const DELTA_OVERLAP_MS = 5000;
+
+function newestTimestamp(values) {
+    return values.reduce((newest, value) => {
+        if (!value) return newest;
+        return !newest || new Date(value) > new Date(newest) ? value : newest;
+    }, null);
+}
+
+// Where a delta for this cached copy starts, or null when it has to be fetched in full: no mark yet,
+// or one older than the trash retention (expenses purged since then left no tombstone behind)
+function deltaCursor(group) {
+    const syncedAt = group && group.syncedAt ? new Date(group.syncedAt).getTime() : NaN;
+    if (!Number.isFinite(syncedAt) || Date.now() - syncedAt > TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) {
+        return null;
+    }
+    return new Date(syncedAt - DELTA_OVERLAP_MS).toISOString();
+}
+
+// Lay changed expense rows over a cached list: tombstones remove, the rest insert or replace (newest first, as a full fetch orders them)
+function mergeExpenseRows(expenses, rows) {
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+    const byId = new Map((expenses || []).map(expense => [expense.supabaseId || expense.id, expense]));
+    rows.forEach(row => {
+        const id = row[expenseSchema.id] || row.id;
+        if (row[expenseSchema.deletedAt] || row.deleted_at) {
+            byId.delete(id);
+        } else {
+            byId.set(id, mapExpenseFromDatabase(row));
+        }
+    });
+    return [...byId.values()].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+}
+
+function jsonArrayField(value) {
+    let parsed = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = JSON.parse(value);
+        } catch (e) {
+            parsed = [];
+        }
+    }
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+// Bring a cached group up to date in one request: the group row, its expenses updated after the mark
+// (tombstones included) and how many live expenses it has. Resolves to the updated group, null when
+// the group is gone, or undefined when a delta is not possible and the caller should fetch everything.
+async function fetchGroupDelta(cached) {
+    const since = deltaCursor(cached);
+    if (!since || !window.supabaseClient) return undefined;
+    requireSignIn();
+
+    await detectDatabaseSchema();
+    const groupSchema = SCHEMA_MAPPING.groups;
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+    const groupId = cached.supabaseId || cached.id;
+    const expensesOfGroup = `expenses!${expenseSchema.groupId}`;
+
+    const { data: row, error } = await window.supabaseClient
+        .from('groups')
+        .select(`*, changed:${expensesOfGroup}(*), live:${expensesOfGroup}(count)`)
+        .eq(groupSchema.id, groupId)
+        .gt(`changed.${expenseSchema.updatedAt}`, since)
+        .is(`live.${expenseSchema.deletedAt}`, null)
+        .maybeSingle();
+
+    if (error) {
+        console.warn('Delta sync not available, fetching the whole group:', error.message);
+        return undefined;
+    }
+    if (!row) {
+        console.warn('Group not found in database:', groupId);
+        return null;
+    }
+
+    const changed = row.changed || [];
+    const group = {
+        ...cached,
+        ...mapGroupFieldsFromDatabase(row),
+        roles: row[groupSchema.roles] || row.roles || {},
+        participantClaims: row[groupSchema.participantClaims] || row.participantClaims || {},
+        pendingDeletion: row[groupSchema.pendingDeletion] || row.pending_deletion || false,
+        deletionInitiatedBy: row[groupSchema.deletionInitiatedBy] || row.deletion_initiated_by,
+        deletionConfirmedBy: jsonArrayField(row[groupSchema.deletionConfirmedBy] || row.deletion_confirmed_by),
+        deletionRestoredBy: jsonArrayField(row[groupSchema.deletionRestoredBy] || row.deletion_restored_by),
+        deletionInitiatedAt: row[groupSchema.deletionInitiatedAt] || row.deletion_initiated_at,
+        expenses: mergeExpenseRows(cached.expenses, changed),
+        syncedAt: newestTimestamp([
+            cached.syncedAt,
+            row[groupSchema.updatedAt] || row.updated_at,
+            ...changed.map(expense => expense[expenseSchema.updatedAt] || expense.updated_at)
+        ])
+    };
+
+    // Rows removed outright rather than through the trash leave no tombstone; a live count that
+    // disagrees with the copy means it missed one (skipped while this group has writes queued)
+    const liveCount = Array.isArray(row.live) && row.live[0] ? row.live[0].count : null;
+    const hasQueuedWrites = !!window.OfflineQueue && window.OfflineQueue.pending().some(op => op.groupId === groupId || op.groupId === cached.id);
+    if (liveCount !== null && !hasQueuedWrites && liveCount !== group.expenses.length) {
+        console.log('Cached group is missing deletions, fetching the whole group:', groupId);
+        return undefined;
+    }
+
+    applyQueuedChanges(group);
+    group.totalExpenses = Ledger.fromMinor(Ledger.totalSpent(group.expenses, group.baseCurrency), group.baseCurrency);
+    console.log('Delta sync:', group.name, '-', changed.length, 'changed expense row(s) since', since);
+    return group;
+}
+
 // Fetch all groups for the current user from database
 async function fetchAllGroupsFromDatabase() {
     console.log('fetchAllGroupsFromDatabase called');
@@ -457,6 +1504,7 @@ async function fetchAllGroupsFromDatabase() {
         console.warn('Cannot fetch groups - no Supabase client or user');
         return [];
     }
+    requireSignIn();
 
     // Ensure schema is detected
     await detectDatabaseSchema();
@@ -534,16 +1582,43 @@ async function fetchAllGroupsFromDatabase() {
         // OPTIMIZATION: Fetch all expenses for all user groups in one query instead of N queries
         const expenseSchema = SCHEMA_MAPPING.expenses;
         const groupIds = userGroups.map(g => g[groupSchema.id] || g.id);
+
+        // Recurring expenses that came due are created first so the fetch below includes them
+        const recurringByGroupId = await loadRecurringForGroups(groupIds);
         
-        // Fetch all expenses for all groups at once
-        const { data: allExpenses, error: expensesError } = await window.supabaseClient
-            .from('expenses')
-            .select('*')
-            .in(expenseSchema.groupId, groupIds)
-            .order(expenseSchema.createdAt || 'created_at', { ascending: false });
+        // Groups cached with a usable mark only need the expense rows changed since the oldest of
+        // those marks (tombstones included); the others are fetched in full
+        const cachedById = new Map((window.AppState ? window.AppState.getGroups() : []).map(g => [g.supabaseId || g.id, g]));
+        let deltaIds = groupIds.filter(id => deltaCursor(cachedById.get(id)));
+        let allExpenses = [];
+
+        if (deltaIds.length > 0) {
+            const since = deltaIds.map(id => deltaCursor(cachedById.get(id))).sort()[0];
+            const { data, error } = await window.supabaseClient
+                .from('expenses')
+                .select('*')
+                .in(expenseSchema.groupId, deltaIds)
+                .gt(expenseSchema.updatedAt, since);
+            if (error) {
+                console.warn('Delta sync not available, fetching all expenses:', error.message);
+                deltaIds = [];
+            } else {
+                allExpenses = data || [];
+            }
+        }
 
-        if (expensesError) {
-            console.warn('Failed to fetch expenses:', expensesError);
+        const fullIds = groupIds.filter(id => !deltaIds.includes(id));
+        if (fullIds.length > 0) {
+            const { data, error: expensesError } = await window.supabaseClient
+                .from('expenses')
+                .select('*')
+                .in(expenseSchema.groupId, fullIds)
+                .is(expenseSchema.deletedAt, null)
+                .order(expenseSchema.createdAt || 'created_at', { ascending: false });
+            if (expensesError) {
+                console.warn('Failed to fetch expenses:', expensesError);
+            }
+            allExpenses = allExpenses.concat(data || []);
         }
 
         // Group expenses by groupId for faster lookup
@@ -562,7 +1637,9 @@ async function fetchAllGroupsFromDatabase() {
         const completeGroups = userGroups.map((group) => {
             try {
                 const groupId = group[groupSchema.id] || group.id;
-                const expenses = expensesByGroupId.get(groupId) || [];
+                const rows = expensesByGroupId.get(groupId) || [];
+                const cached = deltaIds.includes(groupId) ? cachedById.get(groupId) : null;
+                const expenses = cached ? mergeExpenseRows(cached.expenses, rows) : rows.map(mapExpenseFromDatabase);
 
                 // Structure the group data properly
                 // Derive members from stored members OR from expenses (fallback)
@@ -595,12 +1672,12 @@ async function fetchAllGroupsFromDatabase() {
                     console.log('Members not found in group, deriving from expenses...');
                     const memberSet = new Set();
                     expenses.forEach(expense => {
-                        if (expense[expenseSchema.paidBy] || expense.paid_by) {
-                            memberSet.add(expense[expenseSchema.paidBy] || expense.paid_by);
+                        if (expense.paidBy) {
+                            memberSet.add(expense.paidBy);
                         }
-                        const splitBetween = expense[expenseSchema.splitBetween] || expense.split_between || [];
-                        if (Array.isArray(splitBetween)) {
-                            splitBetween.forEach(m => memberSet.add(m));
+                        Object.keys(expense.payersMinor || {}).forEach(m => memberSet.add(m));
+                        if (Array.isArray(expense.splitBetween)) {
+                            expense.splitBetween.forEach(m => memberSet.add(m));
                         }
                     });
                     members = Array.from(memberSet);
@@ -656,25 +1733,28 @@ async function fetchAllGroupsFromDatabase() {
                     deletionConfirmedBy: deletionConfirmedBy,
                     deletionRestoredBy: deletionRestoredBy,
                     deletionInitiatedAt: group[groupSchema.deletionInitiatedAt] || group.deletion_initiated_at,
-                    expenses: expenses ? expenses.map(expense => ({
-                        id: expense[expenseSchema.id] || expense.id,
-                        name: expense[expenseSchema.description] || expense.description || expense.name,
-                        amount: parseFloat(expense[expenseSchema.amount] || expense.amount || 0),
-                        paidBy: expense[expenseSchema.paidBy] || expense.paid_by || expense.paidby,
-                        splitBetween: expense[expenseSchema.splitBetween] || expense.split_between || expense.splitbetween || [],
-                        date: expense[expenseSchema.createdAt] || expense.created_at || expense.createdat,
-                        perPersonAmount: expense[expenseSchema.perPersonAmount] || expense.per_person_amount || expense.perpersonamount || 0,
-                        splitType: expense[expenseSchema.splitType] || expense.split_type || 'equal',
-                        customAmounts: expense[expenseSchema.customAmounts] || expense.custom_amounts || null
-                    })) : [],
+                    baseCurrency: group[groupSchema.baseCurrency] || group.base_currency || Ledger.DEFAULT_CURRENCY,
+                    categories: group[groupSchema.categories] || group.categories || null,
+                    version: group[groupSchema.version] || group.version || null,
+                    roles: group[groupSchema.roles] || group.roles || {},
+                    participantClaims: group[groupSchema.participantClaims] || group.participantClaims || {},
+                    expenses: expenses,
+                    recurring: recurringByGroupId.get(supabaseId) || [],
                     totalExpenses: 0,
+                    syncedAt: newestTimestamp([
+                        cached ? cached.syncedAt : null,
+                        group[groupSchema.updatedAt] || group.updated_at,
+                        ...rows.map(row => row[expenseSchema.updatedAt] || row.updated_at)
+                    ]),
                     createdAt: group[groupSchema.createdAt] || group.created_at || group.createdat,
                     createdBy: group[groupSchema.createdBy] || group.created_by || group.createdby
                 };
 
+                applyQueuedChanges(completeGroup);
+
                 // Calculate total expenses
                 if (completeGroup.expenses) {
-                    completeGroup.totalExpenses = completeGroup.expenses.reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+                    completeGroup.totalExpenses = Ledger.fromMinor(Ledger.totalSpent(completeGroup.expenses, completeGroup.baseCurrency), completeGroup.baseCurrency);
                 }
 
                 return completeGroup;
@@ -696,7 +1776,8 @@ async function fetchAllGroupsFromDatabase() {
 }
 
 // FIXED: Schema-aware group fetching
-async function fetchGroupFromDatabase(groupId) {
+// A copy cached on this device is brought up to date with a delta; options.full always fetches everything
+async function fetchGroupFromDatabase(groupId, options = {}) {
     console.log('fetchGroupFromDatabase called with ID:', groupId);
 
     if (!groupId) {
@@ -706,11 +1787,25 @@ async function fetchGroupFromDatabase(groupId) {
     if (!window.supabaseClient) {
         throw new Error('Supabase client not available');
     }
+    requireSignIn();
 
     // Ensure schema is detected
     await detectDatabaseSchema();
 
     try {
+        const cached = !options.full && window.AppState ? window.AppState.getGroup(groupId) : null;
+        if (cached && deltaCursor(cached)) {
+            // Recurring expenses that came due are created first so the delta includes them
+            const recurringByGroupId = await loadRecurringForGroups([cached.supabaseId || groupId]);
+            const [delta, comments] = await Promise.all([fetchGroupDelta(cached), fetchExpenseComments([cached.supabaseId || groupId])]);
+            if (delta === null) return null;
+            if (delta) {
+                delta.recurring = recurringByGroupId.get(cached.supabaseId || groupId) || [];
+                delta.comments = comments;
+                return delta;
+            }
+        }
+
         console.log('Fetching group from database:', groupId);
 
         const groupSchema = SCHEMA_MAPPING.groups;
@@ -740,12 +1835,17 @@ async function fetchGroupFromDatabase(groupId) {
 
         console.log('Group found:', group[groupSchema.name] || group.name);
 
+        // Recurring expenses that came due are created first so the fetch below includes them
+        const recurringByGroupId = await loadRecurringForGroups([groupId]);
+        const comments = await fetchExpenseComments([groupId]);
+
         // Fetch expenses for this group
         const expenseSchema = SCHEMA_MAPPING.expenses;
         const { data: expenses, error: expensesError } = await window.supabaseClient
             .from('expenses')
             .select('*')
             .eq(expenseSchema.groupId, groupId)
+            .is(expenseSchema.deletedAt, null)
             .order(expenseSchema.createdAt, { ascending: false });
 
         if (expensesError) {
@@ -835,25 +1935,28 @@ async function fetchGroupFromDatabase(groupId) {
             deletionConfirmedBy: deletionConfirmedBy,
             deletionRestoredBy: deletionRestoredBy,
             deletionInitiatedAt: group[groupSchema.deletionInitiatedAt] || group.deletion_initiated_at,
-            expenses: expenses ? expenses.map(expense => ({
-                id: expense[expenseSchema.id] || expense.id,
-                name: expense[expenseSchema.description] || expense.description || expense.name,
-                amount: parseFloat(expense[expenseSchema.amount] || expense.amount || 0),
-                paidBy: expense[expenseSchema.paidBy] || expense.paid_by || expense.paidby,
-                splitBetween: expense[expenseSchema.splitBetween] || expense.split_between || expense.splitbetween || [],
-                date: expense[expenseSchema.createdAt] || expense.created_at || expense.createdat,
-                perPersonAmount: expense[expenseSchema.perPersonAmount] || expense.per_person_amount || expense.perpersonamount || 0,
-                splitType: expense[expenseSchema.splitType] || expense.split_type || 'equal',
-                customAmounts: expense[expenseSchema.customAmounts] || expense.custom_amounts || null
-            })) : [],
+            baseCurrency: group[groupSchema.baseCurrency] || group.base_currency || Ledger.DEFAULT_CURRENCY,
+            categories: group[groupSchema.categories] || group.categories || null,
+            version: group[groupSchema.version] || group.version || null,
+            roles: group[groupSchema.roles] || group.roles || {},
+            participantClaims: group[groupSchema.participantClaims] || group.participantClaims || {},
+            expenses: expenses ? expenses.map(mapExpenseFromDatabase) : [],
+            recurring: recurringByGroupId.get(groupId) || [],
+            comments: comments,
             totalExpenses: 0,
+            syncedAt: newestTimestamp([
+                group[groupSchema.updatedAt] || group.updated_at,
+                ...(expenses || []).map(row => row[expenseSchema.updatedAt] || row.updated_at)
+            ]),
             createdAt: group[groupSchema.createdAt] || group.created_at || group.createdat,
             createdBy: group[groupSchema.createdBy] || group.created_by || group.createdby
         };
 
+        applyQueuedChanges(completeGroup);
+
         // Calculate total expenses
         if (completeGroup.expenses) {
-            completeGroup.totalExpenses = completeGroup.expenses.reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
+            completeGroup.totalExpenses = Ledger.fromMinor(Ledger.totalSpent(completeGroup.expenses, completeGroup.baseCurrency), completeGroup.baseCurrency);
         }
 
         console.log('Complete group data assembled:', completeGroup.name, 'with', completeGroup.expenses.length, 'expenses');
@@ -872,19 +1975,16 @@ async function fetchGroupFromDatabase(groupId) {
 }
 
 // FIXED: Schema-aware expense deletion
-async function deleteExpenseFromDatabase(expenseId) {
+async function deleteExpenseFromDatabase(expenseId, options = {}) {
     console.log('deleteExpenseFromDatabase called with ID:', expenseId);
 
     if (!expenseId) {
         throw new Error('Expense ID is required for deletion');
     }
 
-    if (window.splitEasySync.isOffline) {
-        console.log('Offline - queuing expense deletion for later sync');
-        let deleteQueue = JSON.parse(localStorage.getItem('spliteasy_delete_queue') || '[]');
-        deleteQueue.push({ type: 'expense', id: expenseId, timestamp: Date.now() });
-        localStorage.setItem('spliteasy_delete_queue', JSON.stringify(deleteQueue));
-        return;
+    if (shouldQueueWrite(options)) {
+        console.log('Queuing expense deletion for later sync');
+        return queueExpenseDelete(expenseId);
     }
 
     if (!window.supabaseClient) {
@@ -899,10 +1999,17 @@ async function deleteExpenseFromDatabase(expenseId) {
 
         const expenseSchema = SCHEMA_MAPPING.expenses;
 
+        // Soft delete: the row moves to the group's trash and can be restored until it is purged
+        const now = new Date().toISOString();
         const { data, error: deleteError } = await window.supabaseClient
             .from('expenses')
-            .delete()
+            .update({
+                [expenseSchema.deletedAt]: now,
+                [expenseSchema.deletedBy]: window.currentUser?.id || null,
+                [expenseSchema.updatedAt]: now
+            })
             .eq(expenseSchema.id, expenseId)
+            .is(expenseSchema.deletedAt, null)
             .select();
 
         if (deleteError) {
@@ -916,7 +2023,14 @@ async function deleteExpenseFromDatabase(expenseId) {
         }
 
         console.log('Expense deleted from database successfully:', data.length, 'records');
-        cleanupDeleteQueue('expense', expenseId);
+
+        for (const row of data) {
+            const deleted = mapExpenseFromDatabase(row);
+            await recordHistory(row[expenseSchema.groupId] || row.group_id, 'expense', deleted.id, 'delete', { snapshot: AuditLog.expenseSnapshot(deleted) });
+        }
+
+        // Receipt photos stay until the expense is purged from the trash
+        return data.map(mapExpenseFromDatabase);
 
     } catch (error) {
         console.error('Failed to delete expense from database:', error);
@@ -926,24 +2040,83 @@ async function deleteExpenseFromDatabase(expenseId) {
             details: error.details,
             hint: error.hint
         });
+        if (!options.fromQueue && window.OfflineQueue && isNetworkError(error)) {
+            return queueExpenseDelete(expenseId);
+        }
+        throw error;
+    }
+}
+
+// Bring an expense back from the trash; resolves to the restored expense
+async function restoreExpenseFromTrash(expenseId) {
+    if (!window.supabaseClient) {
+        throw new Error('Supabase client not available');
+    }
+
+    await detectDatabaseSchema();
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+
+    const { data, error } = await window.supabaseClient
+        .from('expenses')
+        .update({
+            [expenseSchema.deletedAt]: null,
+            [expenseSchema.deletedBy]: null,
+            [expenseSchema.updatedAt]: new Date().toISOString()
+        })
+        .eq(expenseSchema.id, expenseId)
+        .not(expenseSchema.deletedAt, 'is', null)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+    if (!data || data.length === 0) {
+        throw new Error('Expense is no longer in the trash');
+    }
+
+    const restored = mapExpenseFromDatabase(data[0]);
+    await recordHistory(data[0][expenseSchema.groupId] || data[0].group_id, 'expense', restored.id, 'restore', { snapshot: AuditLog.expenseSnapshot(restored) });
+    return restored;
+}
+
+// Deleted expenses of a group that can still be restored, most recently deleted first
+async function fetchDeletedExpenses(groupId) {
+    if (!window.supabaseClient || !groupId) return [];
+
+    await detectDatabaseSchema();
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await window.supabaseClient
+        .from('expenses')
+        .select('*')
+        .eq(expenseSchema.groupId, groupId)
+        .gte(expenseSchema.deletedAt, cutoff)
+        .order(expenseSchema.deletedAt, { ascending: false });
+
+    if (error) {
         throw error;
     }
+
+    return (data || []).map(row => ({
+        ...mapExpenseFromDatabase(row),
+        deletedAt: row[expenseSchema.deletedAt],
+        deletedBy: row[expenseSchema.deletedBy] || null,
+        purgeAt: new Date(new Date(row[expenseSchema.deletedAt]).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    }));
 }
 
 // FIXED: Schema-aware group deletion with collaborative confirmation
-async function deleteGroupFromDatabase(groupId, forceDelete = false) {
+async function deleteGroupFromDatabase(groupId, forceDelete = false, options = {}) {
     console.log('deleteGroupFromDatabase called with ID:', groupId, 'forceDelete:', forceDelete);
 
     if (!groupId) {
         throw new Error('Group ID is required for deletion');
     }
 
-    if (window.splitEasySync.isOffline) {
-        console.log('Offline - queuing group deletion for later sync');
-        let deleteQueue = JSON.parse(localStorage.getItem('spliteasy_delete_queue') || '[]');
-        deleteQueue.push({ type: 'group', id: groupId, timestamp: Date.now() });
-        localStorage.setItem('spliteasy_delete_queue', JSON.stringify(deleteQueue));
-        return;
+    if (shouldQueueWrite(options)) {
+        console.log('Queuing group deletion for later sync');
+        return queueWrite('group.delete', { groupId: groupId, forceDelete: forceDelete }, { groupId: groupId, entityId: groupId });
     }
 
     if (!window.supabaseClient) {
@@ -961,6 +2134,24 @@ async function deleteGroupFromDatabase(groupId, forceDelete = false) {
         if (forceDelete) {
             console.log('Force deleting group and all expenses:', groupId);
 
+            // Recorded first: only members may add history, and nobody is once the group is gone
+            const { data: groupRow } = await window.supabaseClient
+                .from('groups')
+                .select('*')
+                .eq(groupSchema.id, groupId)
+                .maybeSingle();
+            if (groupRow) {
+                await recordHistory(groupId, 'group', groupId, 'delete', { snapshot: groupHistoryFields(groupRow) });
+            }
+
+            // Receipt photos of every expense, the trash included; removed once the expenses are gone
+            const { data: photoRows } = await window.supabaseClient
+                .from('expenses')
+                .select(expenseSchema.attachments)
+                .eq(expenseSchema.groupId, groupId)
+                .not(expenseSchema.attachments, 'is', null);
+            const photos = (photoRows || []).flatMap(row => row[expenseSchema.attachments] || []);
+
             // Delete expenses first
             const { error: expenseError } = await window.supabaseClient
                 .from('expenses')
@@ -971,21 +2162,23 @@ async function deleteGroupFromDatabase(groupId, forceDelete = false) {
                 console.warn('Failed to delete group expenses:', expenseError);
             } else {
                 console.log('Group expenses deleted');
+                // While the group still exists: Storage only lets its members remove the files
+                if (photos.length > 0 && window.Receipts) {
+                    await window.Receipts.remove(photos).catch(error => console.warn('Failed to delete receipt photos:', error));
+                }
             }
 
             // Then delete group
-            const { data, error: groupError } = await window.supabaseClient
+            const { error: groupError } = await window.supabaseClient
                 .from('groups')
                 .delete()
-                .eq(groupSchema.id, groupId)
-                .select();
+                .eq(groupSchema.id, groupId);
 
             if (groupError) {
                 throw groupError;
             }
 
             console.log('Group deleted from database successfully');
-            cleanupDeleteQueue('group', groupId);
             return;
         }
 
@@ -1051,6 +2244,7 @@ async function deleteGroupFromDatabase(groupId, forceDelete = false) {
         }
 
         console.log('Group marked for collaborative deletion. Other members will be notified.');
+        await recordHistory(groupId, 'group', groupId, 'request_delete');
         // Real-time sync will notify other members
 
     } catch (error) {
@@ -1167,11 +2361,9 @@ async function confirmGroupDeletion(groupId) {
 
             console.log('Member confirmed deletion and removed from group');
             
-            // Remove group from this user's localStorage since they're no longer a member
-            const localGroups = loadFromLocalStorageSafe();
-            const filteredGroups = localGroups.filter(g => g.id !== groupId && g.supabaseId !== groupId);
-            saveGroupsToLocalStorageSafe(filteredGroups);
-            console.log('Group removed from user localStorage (user is no longer a member)');
+            // Remove group from this device since they're no longer a member
+            removeCachedGroupSafe(groupId);
+            console.log('Group removed from device cache (user is no longer a member)');
         }
 }
 
@@ -1231,50 +2423,50 @@ async function restoreGroup(groupId) {
     }
 
     console.log('Group restoration requested by member');
+    await recordHistory(groupId, 'group', groupId, 'restore');
 }
 
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
 
-// Clean up delete queue
-function cleanupDeleteQueue(type, id) {
+// Copies of the groups cached on this device (GroupStore through AppState); pages without AppState
+// (admin) have none
+function loadCachedGroupsSafe() {
+    return window.AppState ? window.AppState.copyGroups() : [];
+}
+
+function setCachedTotals(group) {
+    if (!group.expenses) group.expenses = [];
+    group.totalExpenses = group.expenses.length > 0
+        ? Ledger.fromMinor(Ledger.totalSpent(group.expenses, group.baseCurrency), group.baseCurrency)
+        : 0;
+    return group;
+}
+
+function saveCachedGroupsSafe(groups) {
+    if (!window.AppState) return;
     try {
-        let deleteQueue = JSON.parse(localStorage.getItem('spliteasy_delete_queue') || '[]');
-        deleteQueue = deleteQueue.filter(item => !(item.type === type && item.id === id));
-        localStorage.setItem('spliteasy_delete_queue', JSON.stringify(deleteQueue));
-        console.log('Cleaned up delete queue for', type, id);
+        groups.forEach(setCachedTotals);
+        window.AppState.setGroups(groups);
+        console.log('Groups saved on device:', groups.length, 'groups');
     } catch (error) {
-        console.warn('Failed to clean up delete queue:', error);
+        console.error('Failed to save groups on device:', error);
     }
 }
 
-// Safe localStorage functions
-function loadFromLocalStorageSafe() {
+function saveCachedGroupSafe(group) {
+    if (!window.AppState) return;
     try {
-        const data = localStorage.getItem('spliteasy_groups');
-        return data ? JSON.parse(data) : [];
+        window.AppState.saveGroup(setCachedTotals(group));
     } catch (error) {
-        console.error('Error loading from localStorage:', error);
-        return [];
+        console.error('Failed to save group on device:', error);
     }
 }
 
-function saveGroupsToLocalStorageSafe(groups) {
-    try {
-        groups.forEach(group => {
-            if (!group.expenses) group.expenses = [];
-            if (group.expenses.length > 0) {
-                group.totalExpenses = group.expenses.reduce((sum, exp) => sum + parseFloat(exp.amount || 0), 0);
-            } else {
-                group.totalExpenses = 0;
-            }
-        });
-
-        localStorage.setItem('spliteasy_groups', JSON.stringify(groups));
-        console.log('Groups saved to localStorage:', groups.length, 'groups');
-    } catch (error) {
-        console.error('Failed to save to localStorage:', error);
+function removeCachedGroupSafe(groupId) {
+    if (window.AppState) {
+        window.AppState.removeGroup(groupId);
     }
 }
 
@@ -1288,8 +2480,8 @@ function showNotificationSafe(message, type = 'success') {
 
 // Sync all data to database
 async function syncAllDataToDatabase() {
-    if (window.splitEasySync.isSyncing || window.splitEasySync.isOffline || !window.supabaseClient || !window.currentUser) {
-        console.log('Cannot sync - already syncing, offline, no client, or no user');
+    if (window.splitEasySync.isSyncing || window.splitEasySync.isOffline || window.splitEasySync.awaitingSignIn || !window.supabaseClient || !window.currentUser) {
+        console.log('Cannot sync - already syncing, offline, not signed in, no client, or no user');
         return;
     }
 
@@ -1304,7 +2496,7 @@ async function syncAllDataToDatabase() {
         await syncUserToDatabase(window.currentUser);
 
         // Get all local data
-        const localGroups = loadFromLocalStorageSafe();
+        const localGroups = loadCachedGroupsSafe();
 
         if (localGroups.length === 0) {
             console.log('No groups to sync');
@@ -1344,193 +2536,440 @@ async function syncAllDataToDatabase() {
 // GLOBAL FUNCTION EXPORTS
 // ========================================
 
-// Join user to a group
-async function joinUserToGroup(groupId, userId) {
+// Join a group with an invite token (see supabase-invites.sql). Resolves to
+// { joined, wasNewMember, role, reason }; reason is 'invalid', 'expired', 'used_up', 'revoked',
+// 'forbidden', 'signed_out' or 'offline' when joined is false. Members already in the group get in
+// with any token. The server joins the user of the Supabase Auth session; userId is only logged.
+async function joinUserToGroup(groupId, userId, inviteToken) {
     console.log('Joining user to group:', { groupId, userId });
 
     if (!window.supabaseClient || !groupId || !userId) {
         console.warn('Cannot join group - missing client, groupId, or userId');
-        return false;
+        return { joined: false, wasNewMember: false, role: null, reason: 'offline' };
+    }
+    if (!inviteToken) {
+        return { joined: false, wasNewMember: false, role: null, reason: 'invalid' };
     }
 
     try {
-        await detectDatabaseSchema();
-        const groupSchema = SCHEMA_MAPPING.groups;
-
-        // Fetch current group
-        const { data: group, error: fetchError } = await window.supabaseClient
-            .from('groups')
-            .select('*')
-            .eq(groupSchema.id, groupId)
-            .single();
+        const { data, error } = await window.supabaseClient.rpc('redeem_group_invite', {
+            p_group_id: groupId,
+            p_token: inviteToken
+        });
 
-        if (fetchError || !group) {
-            console.error('Failed to fetch group:', fetchError);
-            return false;
+        if (error) {
+            console.warn('Invite not accepted:', error.message);
+            return { joined: false, wasNewMember: false, role: null, reason: inviteErrorReason(error) };
         }
 
-        // Get current members (handle JSONB array)
-        let currentMembers = group[groupSchema.members] || group.members || [];
-        if (typeof currentMembers === 'string') {
-            try {
-                currentMembers = JSON.parse(currentMembers);
-            } catch (e) {
-                console.warn('Failed to parse members JSON:', e);
-                currentMembers = [];
-            }
+        const result = Array.isArray(data) ? data[0] : data;
+        if (!result) {
+            return { joined: false, wasNewMember: false, role: null, reason: 'invalid' };
         }
-        if (!Array.isArray(currentMembers)) {
-            currentMembers = [];
+
+        if (result.was_new_member) {
+            console.log('User joined group successfully as', result.role);
+            await recordHistory(groupId, 'member', userId, 'join', {
+                snapshot: { memberName: window.currentUser?.name || null, role: result.role }
+            });
+        } else {
+            console.log('User is already a member of this group');
         }
-        
-        // Check if user is already a member (by ID or name for backward compatibility)
-        const userName = window.currentUser?.name;
-        const isAlreadyMember = currentMembers.includes(userId) || 
-                               (userName && currentMembers.includes(userName)) ||
-                               currentMembers.some(m => m && String(m).toLowerCase() === String(userId).toLowerCase()) ||
-                               (userName && currentMembers.some(m => m && String(m).toLowerCase() === String(userName).toLowerCase()));
-        
-        // Add user if not already a member
-        // ALWAYS use user ID for registered users (IDs are unique and reliable)
-        if (!isAlreadyMember) {
-            // Always add the user's ID when joining
-            // This ensures consistency and uniqueness
-            const updatedMembers = [...currentMembers, userId];
-            
-            // Also remove the user's name if it exists (migrate from name to ID)
-            const membersWithoutName = updatedMembers.filter(m => 
-                !userName || String(m).toLowerCase() !== String(userName).toLowerCase()
-            );
-            
-            // Ensure we have the ID in the array
-            if (!membersWithoutName.includes(userId)) {
-                membersWithoutName.push(userId);
+        return { joined: true, wasNewMember: !!result.was_new_member, role: result.role, reason: null };
+    } catch (error) {
+        console.error('Failed to join group:', error);
+        return { joined: false, wasNewMember: false, role: null, reason: 'offline' };
+    }
+}
+
+// ========================================
+// INVITE LINKS
+// ========================================
+
+// Invites live in group_invites and are only reached through the functions in
+// supabase-invites.sql; the token itself is returned once, when it is created.
+
+// 'expired' from an error raised as 'invite_expired'; 'signed_out' without a Supabase Auth session
+function inviteErrorReason(error) {
+    const message = (error && error.message) || '';
+    if (/not_signed_in/.test(message)) return 'signed_out';
+    const match = /invite_([a-z_]+)/.exec(message);
+    return match ? match[1] : 'invalid';
+}
+
+function mapInviteFromDatabase(row) {
+    return {
+        id: row.id,
+        token: row.token || null,
+        role: row.role,
+        maxUses: row.max_uses,
+        uses: row.uses || 0,
+        expiresAt: row.expires_at,
+        createdBy: row.created_by,
+        createdAt: row.created_at || null
+    };
+}
+
+// options: { role: 'admin' | 'member' | 'viewer', expiresInHours, maxUses (null = unlimited) }
+async function createGroupInvite(groupId, options = {}) {
+    if (!window.supabaseClient || !window.currentUser) {
+        throw new Error('Invite links need a connection');
+    }
+
+    const { data, error } = await window.supabaseClient.rpc('create_group_invite', {
+        p_group_id: groupId,
+        p_role: options.role || 'member',
+        p_expires_in_hours: options.expiresInHours || 168,
+        p_max_uses: options.maxUses || null
+    });
+    if (error) {
+        const reason = inviteErrorReason(error);
+        throw new Error(reason === 'forbidden' ? 'You cannot create this invite' : `Could not create invite: ${error.message}`);
+    }
+    return mapInviteFromDatabase(Array.isArray(data) ? data[0] : data);
+}
+
+// Invites that can still be used, newest first
+async function fetchGroupInvites(groupId) {
+    if (!window.supabaseClient || !window.currentUser || !groupId) return [];
+
+    const { data, error } = await window.supabaseClient.rpc('list_group_invites', {
+        p_group_id: groupId
+    });
+    if (error) {
+        console.warn('Failed to load invites (run supabase-invites.sql if missing):', error.message);
+        return [];
+    }
+    return (data || []).map(mapInviteFromDatabase);
+}
+
+async function revokeGroupInvite(inviteId) {
+    if (!window.supabaseClient || !window.currentUser) {
+        throw new Error('Revoking an invite needs a connection');
+    }
+
+    const { error } = await window.supabaseClient.rpc('revoke_group_invite', {
+        p_invite_id: inviteId
+    });
+    if (error) {
+        throw new Error(inviteErrorReason(error) === 'forbidden' ? 'Only the group owner or whoever created the invite can revoke it' : error.message);
+    }
+}
+
+// ========================================
+// MEMBER ROLES
+// ========================================
+
+// Owner only (see supabase-roles.sql); role is 'admin', 'member' or 'viewer'
+async function setGroupMemberRole(groupId, memberId, role, memberName) {
+    if (!window.supabaseClient || !window.currentUser) {
+        throw new Error('Changing roles needs a connection');
+    }
+
+    const { error } = await window.supabaseClient.rpc('set_group_member_role', {
+        p_group_id: groupId,
+        p_member_id: memberId,
+        p_role: role
+    });
+    if (error) {
+        throw new Error(/role_forbidden/.test(error.message) ? 'Only the group owner can change roles' : `Could not change the role: ${error.message}`);
+    }
+
+    await recordHistory(groupId, 'member', memberId, 'update', { snapshot: { memberName: memberName || memberId, role: role } });
+}
+
+// ========================================
+// PARTICIPANT CLAIMS
+// ========================================
+
+// Link the current user to a participant name (see supabase-participant-claims.sql), replacing
+// the name they claimed before; null drops their claim. Expenses stay keyed by name, so the
+// ones under that name become theirs. Returns the group's claims as they are now.
+async function claimGroupParticipant(groupId, participant) {
+    if (!window.supabaseClient || !window.currentUser) {
+        throw new Error('Picking your name needs a connection');
+    }
+
+    const { error } = await window.supabaseClient.rpc('claim_group_participant', {
+        p_group_id: groupId,
+        p_participant: participant
+    });
+    if (error) {
+        if (/claim_taken/.test(error.message)) throw new Error(`${participant} has already been picked by someone else`);
+        if (/claim_unknown/.test(error.message)) throw new Error(`${participant} is no longer in this group`);
+        if (/claim_forbidden/.test(error.message)) throw new Error('Only members of the group can pick a name');
+        throw new Error(`Could not save your name: ${error.message}`);
+    }
+
+    await recordHistory(groupId, 'member', window.currentUser.id, 'update', {
+        snapshot: { memberName: window.currentUser.name || window.currentUser.id, participant: participant }
+    });
+
+    const column = SCHEMA_MAPPING.groups.participantClaims;
+    const { data } = await window.supabaseClient.from('groups').select(column).eq('id', groupId).maybeSingle();
+    return (data && data[column]) || {};
+}
+
+// ========================================
+// REALTIME CHANNELS
+// ========================================
+
+// One channel per followed group, filtered on the server to that group's rows, plus one for the user.
+// Only row changes of groups the user is in reach the device.
+const REALTIME_RETRY_BASE_MS = 1000;
+const REALTIME_RETRY_MAX_MS = 30000;
+
+// topic -> { groupId, channel, status, attempts, retryTimer }
+const realtimeChannels = new Map();
+let realtimeStateUnsubscribers = [];
+
+function groupChannelTopic(groupId) {
+    return `splitxpense-group-${groupId}`;
+}
+
+// Active only while every channel is subscribed; the group page polls otherwise
+function reportRealtimeStatus() {
+    const entries = [...realtimeChannels.values()];
+    const active = entries.length > 0 && entries.every(entry => entry.status === 'SUBSCRIBED');
+    if (active === window.splitEasySync.realtimeActive) return;
+
+    window.splitEasySync.realtimeActive = active;
+    console.log(active ? '✅ Real-time sync active - auto-refresh will be disabled' : '📡 Real-time sync not active');
+    if (typeof window.onRealtimeStatusChange === 'function') {
+        window.onRealtimeStatusChange(active);
+    }
+}
+
+// Subscribe a channel and keep it subscribed: on CHANNEL_ERROR or TIMED_OUT it is removed and
+// subscribed again after a backoff. onResubscribed() runs after a reconnect, since changes made
+// while the channel was down are not replayed. options.config is passed to supabase.channel();
+// options.onSubscribed(channel) runs on every successful subscribe.
+function openRealtimeChannel(topic, addListeners, options = {}) {
+    const entry = { groupId: options.groupId || null, channel: null, status: 'SUBSCRIBING', attempts: 0, retryTimer: null };
+    realtimeChannels.set(topic, entry);
+
+    const subscribe = () => {
+        entry.retryTimer = null;
+        const channel = addListeners(window.supabaseClient.channel(topic, options.config));
+        entry.channel = channel;
+
+        channel.subscribe((status) => {
+            // Closed on purpose, or replaced by a newer attempt
+            if (realtimeChannels.get(topic) !== entry || entry.channel !== channel) return;
+            console.log('📡 Real-time', topic, status);
+
+            const reconnected = status === 'SUBSCRIBED' && entry.attempts > 0;
+            entry.status = status;
+            if (status === 'SUBSCRIBED') {
+                entry.attempts = 0;
+            } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                entry.attempts += 1;
+                const delay = Math.min(REALTIME_RETRY_MAX_MS, REALTIME_RETRY_BASE_MS * Math.pow(2, entry.attempts - 1));
+                console.warn(`Real-time channel ${topic} ${status}, subscribing again in ${delay}ms`);
+                entry.channel = null;
+                window.supabaseClient.removeChannel(channel);
+                entry.retryTimer = setTimeout(subscribe, delay);
             }
-            
-            const finalMembers = membersWithoutName;
+            reportRealtimeStatus();
 
-            // Update group with new member (store as JSONB array)
-            const { error: updateError } = await window.supabaseClient
-                .from('groups')
-                .update({
-                    [groupSchema.members]: finalMembers,
-                    [groupSchema.updatedAt]: new Date().toISOString(),
-                    [groupSchema.updatedBy]: userId
-                })
-                .eq(groupSchema.id, groupId);
+            if (status === 'SUBSCRIBED' && typeof options.onSubscribed === 'function') {
+                options.onSubscribed(channel);
+            }
+            if (reconnected && typeof options.onResubscribed === 'function') {
+                options.onResubscribed();
+            }
+        });
+    };
 
-            if (updateError) {
-                console.error('Failed to update group members:', updateError);
-                return { joined: false, wasNewMember: false };
+    subscribe();
+}
+
+function closeRealtimeChannel(topic) {
+    const entry = realtimeChannels.get(topic);
+    if (!entry) return;
+    realtimeChannels.delete(topic);
+    clearTimeout(entry.retryTimer);
+    if (entry.channel) {
+        window.supabaseClient.removeChannel(entry.channel);
+    }
+}
+
+// Row changes of one group: the group itself, its expenses and their comments.
+// Only inserts and updates: Supabase cannot filter deletes by group_id (see startRealtimeSync).
+// Expenses are deleted by moving them to the trash, which is an update; rows only go for good with
+// their group or from the trash, and neither is on screen.
+// The open group's channel also carries presence (who is looking at it).
+function openGroupChannel(groupId) {
+    const expenseSchema = SCHEMA_MAPPING.expenses;
+    const withPresence = groupId === openGroupId();
+    openRealtimeChannel(groupChannelTopic(groupId), channel => (withPresence ? addPresenceListeners(channel, groupId) : channel)
+        .on('postgres_changes',
+            { event: 'UPDATE', schema: 'public', table: 'groups', filter: `id=eq.${groupId}` },
+            async (payload) => {
+                console.log('Group changed:', payload);
+                await handleGroupChange(payload);
+            }
+        )
+        .on('postgres_changes',
+            { event: 'INSERT', schema: 'public', table: 'expenses', filter: `${expenseSchema.groupId}=eq.${groupId}` },
+            async (payload) => {
+                console.log('Expense added:', payload);
+                await handleExpenseChange(payload);
             }
+        )
+        .on('postgres_changes',
+            { event: 'UPDATE', schema: 'public', table: 'expenses', filter: `${expenseSchema.groupId}=eq.${groupId}` },
+            async (payload) => {
+                console.log('Expense changed:', payload);
+                await handleExpenseChange(payload);
+            }
+        )
+        .on('postgres_changes',
+            { event: 'INSERT', schema: 'public', table: 'expense_comments', filter: `group_id=eq.${groupId}` },
+            (payload) => {
+                console.log('Comment added:', payload);
+                handleCommentChange(payload);
+            }
+        ), {
+        groupId: groupId,
+        config: withPresence ? { config: { presence: { key: window.currentUser.id } } } : undefined,
+        onSubscribed: withPresence ? trackPresence : undefined,
+        // Catch up as if the group had changed (a delta fetch)
+        onResubscribed: () => handleGroupChange({ eventType: 'UPDATE', new: { id: groupId } })
+    });
+}
 
-            console.log('User joined group successfully');
-            return { joined: true, wasNewMember: true };
-        } else {
-            console.log('User is already a member of this group');
-            return { joined: true, wasNewMember: false };
+// The group open on the group page (null on the list)
+function openGroupId() {
+    const groupId = window.currentGroup?.supabaseId || window.currentGroupId;
+    return groupId && UUID_REGEX.test(groupId) ? groupId : null;
+}
+
+// Groups this page follows: the open group on the group page, every synced group on the list
+function followedGroupIds() {
+    if (window.currentGroup || window.currentGroupId) {
+        return openGroupId() ? [openGroupId()] : [];
+    }
+    return (window.AppState ? window.AppState.getGroups() : [])
+        .map(group => group.supabaseId)
+        .filter(id => UUID_REGEX.test(id || ''));
+}
+
+// Open channels for newly followed groups and close the ones for groups the user left
+function updateRealtimeGroups() {
+    if (!window.splitEasySync.realtimeSubscription) return;
+
+    const wanted = new Set(followedGroupIds());
+    realtimeChannels.forEach((entry, topic) => {
+        if (entry.groupId && !wanted.has(entry.groupId)) {
+            console.log('Leaving real-time channel of group:', entry.groupId);
+            closeRealtimeChannel(topic);
         }
-    } catch (error) {
-        console.error('Failed to join group:', error);
-        return false;
+    });
+    wanted.forEach(groupId => {
+        if (!realtimeChannels.has(groupChannelTopic(groupId))) {
+            openGroupChannel(groupId);
+        }
+    });
+    reportRealtimeStatus();
+}
+
+// ========================================
+// PRESENCE
+// ========================================
+
+// Expense this device has open in the edit form, shared with the others on the group
+let presenceEditing = null;
+
+function addPresenceListeners(channel, groupId) {
+    return channel.on('presence', { event: 'sync' }, () => {
+        if (typeof window.onGroupPresenceChange === 'function') {
+            window.onGroupPresenceChange(groupId, getGroupViewers(groupId));
+        }
+    });
+}
+
+function trackPresence(channel) {
+    if (!window.currentUser) return;
+    channel.track({
+        name: window.currentUser.name || window.currentUser.id,
+        editing: presenceEditing
+    }).catch(error => console.warn('Failed to share presence:', error));
+}
+
+// Everyone else looking at the group: [{ userId, name, editing: [expense ids] }]. Someone with the
+// group open in several tabs is listed once, with what they are editing in any of them.
+function getGroupViewers(groupId) {
+    const entry = realtimeChannels.get(groupChannelTopic(groupId));
+    if (!entry || !entry.channel || typeof entry.channel.presenceState !== 'function') return [];
+
+    return Object.entries(entry.channel.presenceState())
+        .filter(([userId]) => userId !== window.currentUser?.id)
+        .map(([userId, metas]) => ({
+            userId: userId,
+            name: (metas[0] && metas[0].name) || userId,
+            editing: metas.map(meta => meta.editing).filter(Boolean)
+        }));
+}
+
+// Tell the others which expense this device is editing (null when the form closes)
+function setPresenceEditing(expenseId) {
+    presenceEditing = expenseId || null;
+    const entry = openGroupId() ? realtimeChannels.get(groupChannelTopic(openGroupId())) : null;
+    if (entry && entry.channel && entry.status === 'SUBSCRIBED') {
+        trackPresence(entry.channel);
     }
 }
 
 // Start real-time synchronization
 window.startRealtimeSync = function() {
-    if (!window.supabaseClient || !window.currentUser) {
-        console.log('Cannot start real-time sync - missing client or user');
+    if (!window.supabaseClient || !window.currentUser || window.splitEasySync.awaitingSignIn) {
+        console.log('Cannot start real-time sync - missing client, user or sign-in');
         return;
     }
 
     // Don't start multiple subscriptions
     if (window.splitEasySync.realtimeSubscription) {
         console.log('Real-time sync already active');
+        updateRealtimeGroups();
         return;
     }
 
     console.log('Starting real-time synchronization...');
 
     try {
-        // Subscribe to all groups and expenses changes
-        // We'll filter in the handler to only process relevant changes
-        const groupsChannel = window.supabaseClient
-            .channel('splitxpense-realtime')
-            .on('postgres_changes', 
-                { 
-                    event: '*', 
-                    schema: 'public', 
-                    table: 'groups'
-                },
-                async (payload) => {
-                    console.log('Group changed:', payload);
-                    // Check if user is a member of this group
-                    const groupData = payload.new || payload.old;
-                    const groupSchema = SCHEMA_MAPPING.groups;
-                    let members = groupData?.[groupSchema.members] || groupData?.members || [];
-                    // Handle JSONB array (might be string or array)
-                    if (typeof members === 'string') {
-                        try {
-                            members = JSON.parse(members);
-                        } catch (e) {
-                            console.warn('Failed to parse members JSON in real-time update:', e);
-                            members = [];
-                        }
-                    }
-                    if (Array.isArray(members) && members.includes(window.currentUser.id)) {
-                        await handleGroupChange(payload);
-                    }
-                }
-            )
-            .on('postgres_changes',
-                {
-                    event: '*',
-                    schema: 'public',
-                    table: 'expenses'
-                },
-                async (payload) => {
-                    console.log('Expense changed:', payload);
-                    await handleExpenseChange(payload);
-                }
-            )
+        const userTopic = `splitxpense-user-${window.currentUser.id}`;
+        openRealtimeChannel(userTopic, channel => channel
             .on('postgres_changes',
-                {
-                    event: 'UPDATE',
-                    schema: 'public',
-                    table: 'users',
-                    filter: `id=eq.${window.currentUser.id}`
-                },
+                { event: 'UPDATE', schema: 'public', table: 'users', filter: `id=eq.${window.currentUser.id}` },
                 async (payload) => {
                     console.log('👤 User data changed:', payload);
                     await handleUserChange(payload);
                 }
             )
-            .subscribe((status) => {
-                console.log('📡 Real-time subscription status:', status);
-                if (status === 'SUBSCRIBED') {
-                    console.log('✅ Real-time sync active - auto-refresh will be disabled');
-                    // Mark real-time as active
-                    window.splitEasySync.realtimeActive = true;
-                    // Notify that real-time is working (for auto-refresh to check)
-                    if (typeof window.onRealtimeStatusChange === 'function') {
-                        window.onRealtimeStatusChange(true);
-                    }
-                } else if (status === 'CHANNEL_ERROR') {
-                    console.error('❌ Real-time sync error - auto-refresh will be used as fallback');
-                    window.splitEasySync.realtimeActive = false;
-                    if (typeof window.onRealtimeStatusChange === 'function') {
-                        window.onRealtimeStatusChange(false);
-                    }
-                } else {
-                    // Other statuses (SUBSCRIBING, TIMED_OUT, CLOSED)
-                    window.splitEasySync.realtimeActive = false;
-                    if (typeof window.onRealtimeStatusChange === 'function') {
-                        window.onRealtimeStatusChange(false);
+            // Deletes cannot be filtered on the server, so they reach every subscriber. Both tables have
+            // RLS and the default replica identity, so the payload carries the row id and nothing else.
+            .on('postgres_changes',
+                { event: 'DELETE', schema: 'public', table: 'groups' },
+                async (payload) => {
+                    const groupId = payload.old?.id;
+                    if (groupId && realtimeChannels.has(groupChannelTopic(groupId))) {
+                        await handleGroupChange(payload);
                     }
                 }
-            });
+            )
+            .on('postgres_changes',
+                { event: 'DELETE', schema: 'public', table: 'expense_comments' },
+                (payload) => handleCommentChange(payload)
+            ));
+        window.splitEasySync.realtimeSubscription = realtimeChannels.get(userTopic);
 
-        window.splitEasySync.realtimeSubscription = groupsChannel;
+        // Follow groups as they are joined, created, left or deleted on this device
+        if (window.AppState) {
+            realtimeStateUnsubscribers = ['groupsChanged', 'groupAdded', 'groupUpdated', 'groupRemoved']
+                .map(event => window.AppState.subscribe(event, updateRealtimeGroups));
+        }
+        updateRealtimeGroups();
 
     } catch (error) {
         console.error('Failed to start real-time sync:', error);
@@ -1600,12 +3039,9 @@ async function handleGroupChange(payload) {
                 if (typeof fetchGroupFromDatabase === 'function') {
                     const updatedGroup = await fetchGroupFromDatabase(groupId);
                     if (updatedGroup) {
-                        // Update local storage
-                        const localGroups = loadFromLocalStorageSafe();
-                        const groupIndex = localGroups.findIndex(g => g.id === groupId);
-                        if (groupIndex !== -1) {
-                            localGroups[groupIndex] = updatedGroup;
-                            saveGroupsToLocalStorageSafe(localGroups);
+                        // Update the device cache
+                        if (window.AppState && window.AppState.getGroup(groupId)) {
+                            saveCachedGroupSafe(updatedGroup);
                         }
 
                         // Update current group if it's open
@@ -1644,20 +3080,9 @@ async function handleGroupChange(payload) {
             // Group was deleted
             const groupId = oldData.id || oldData[groupSchema.id];
             
-            // Remove from localStorage
-            const localGroups = loadFromLocalStorageSafe();
-            const filteredGroups = localGroups.filter(g => {
-                const gId = g.id || g.supabaseId;
-                const gSupabaseId = g.supabaseId || g.id;
-                return gId !== groupId && 
-                       gSupabaseId !== groupId &&
-                       g.id !== groupId &&
-                       g.supabaseId !== groupId;
-            });
-            if (filteredGroups.length < localGroups.length) {
-                saveGroupsToLocalStorageSafe(filteredGroups);
-                console.log('Removed deleted group from localStorage:', groupId);
-            }
+            // Remove from the device cache
+            removeCachedGroupSafe(groupId);
+            console.log('Removed deleted group from device cache:', groupId);
             
             if (window.currentGroupId === groupId || (window.currentGroup && window.currentGroup.id === groupId)) {
                 console.log('Group was deleted by creator');
@@ -1716,18 +3141,9 @@ async function handleExpenseChange(payload) {
                     window.currentGroup.expenses = updatedGroup.expenses || [];
                     window.currentGroup.totalExpenses = updatedGroup.totalExpenses || 0;
 
-                    // Update local storage
-                    const localGroups = loadFromLocalStorageSafe();
-                    // Find group by either supabaseId or id
-                    const groupIndex = localGroups.findIndex(g => 
-                        g.supabaseId === expenseGroupId || 
-                        g.id === expenseGroupId ||
-                        (g.supabaseId && g.supabaseId === window.currentGroup.supabaseId) ||
-                        (g.id === window.currentGroup.id)
-                    );
-                    if (groupIndex !== -1) {
-                        localGroups[groupIndex] = window.currentGroup;
-                        saveGroupsToLocalStorageSafe(localGroups);
+                    // Update the device cache
+                    if (window.AppState && (window.AppState.getGroup(expenseGroupId) || window.AppState.getGroup(window.currentGroup.id))) {
+                        saveCachedGroupSafe(window.currentGroup);
                     }
 
                     // Update UI
@@ -1743,12 +3159,68 @@ async function handleExpenseChange(payload) {
                     console.log(`Expense ${action} by another user`);
                 }
             }
+        } else if (!window.currentGroup && !window.currentGroupId && typeof loadGroups === 'function') {
+            // The list shows the user's balance in every group, which any expense can change
+            reloadGroupsSoon();
         }
     } catch (error) {
         console.error('Error handling expense change:', error);
     }
 }
 
+// One list reload for a burst of expense changes
+const GROUPS_RELOAD_DELAY_MS = 1000;
+let groupsReloadTimer = null;
+
+function reloadGroupsSoon() {
+    clearTimeout(groupsReloadTimer);
+    groupsReloadTimer = setTimeout(() => {
+        groupsReloadTimer = null;
+        loadGroups();
+    }, GROUPS_RELOAD_DELAY_MS);
+}
+
+// Handle comment changes from real-time sync (only the open group keeps comments in memory)
+function handleCommentChange(payload) {
+    try {
+        const { eventType, new: newData, old: oldData } = payload;
+        const row = eventType === 'DELETE' ? oldData : newData;
+        const group = window.currentGroup;
+        if (!row || !group) return;
+
+        if (!Array.isArray(group.comments)) group.comments = [];
+        const index = group.comments.findIndex(c => c.id === row.id);
+        let expenseId = row.expense_id;
+
+        if (eventType === 'DELETE') {
+            // Delete payloads only carry the id, so the comment is looked up in the open group
+            if (index === -1) return;
+            expenseId = group.comments[index].expenseId;
+            group.comments.splice(index, 1);
+        } else {
+            if (row.group_id !== group.supabaseId && row.group_id !== group.id) return;
+            const comment = mapCommentFromDatabase(row);
+            if (index !== -1) {
+                group.comments[index] = comment;
+            } else {
+                group.comments.push(comment);
+
+                // Tell people about questions on an entry, except the person asking
+                if (comment.authorId !== window.currentUser?.id) {
+                    const expense = (group.expenses || []).find(e => (e.supabaseId || e.id) === comment.expenseId);
+                    showNotificationSafe(`${comment.authorName} commented on "${expense?.name || 'an expense'}"`, 'info');
+                }
+            }
+        }
+
+        if (typeof window.onExpenseCommentsChange === 'function') {
+            window.onExpenseCommentsChange(expenseId);
+        }
+    } catch (error) {
+        console.error('Error handling comment change:', error);
+    }
+}
+
 // Remove user from group (for members who want to leave)
 async function removeUserFromGroup(groupId, userId) {
     if (!window.supabaseClient || !userId) {
@@ -1822,19 +3294,12 @@ async function removeUserFromGroup(groupId, userId) {
     }
 
     console.log('User removed from group members');
+    const leaverName = window.currentUser && window.currentUser.id === userId ? window.currentUser.name : null;
+    await recordHistory(groupId, 'member', userId, 'leave', { snapshot: { memberName: leaverName } });
 
-    // Remove group from user's local storage
-    const localGroups = loadFromLocalStorageSafe();
-    const filteredGroups = localGroups.filter(g => {
-        const gId = g.id || g.supabaseId;
-        const gSupabaseId = g.supabaseId || g.id;
-        return gId !== groupId && gSupabaseId !== groupId;
-    });
-    
-    if (filteredGroups.length < localGroups.length) {
-        saveGroupsToLocalStorageSafe(filteredGroups);
-        console.log('Removed group from user\'s localStorage');
-    }
+    // Remove group from this device
+    removeCachedGroupSafe(groupId);
+    console.log('Removed group from device cache');
 
     return { removed: true, wasMember: true };
 }
@@ -1842,7 +3307,9 @@ async function removeUserFromGroup(groupId, userId) {
 // Stop real-time sync
 window.stopRealtimeSync = function() {
     if (window.splitEasySync.realtimeSubscription) {
-        window.supabaseClient.removeChannel(window.splitEasySync.realtimeSubscription);
+        realtimeStateUnsubscribers.forEach(unsubscribe => unsubscribe());
+        realtimeStateUnsubscribers = [];
+        [...realtimeChannels.keys()].forEach(closeRealtimeChannel);
         window.splitEasySync.realtimeSubscription = null;
         window.splitEasySync.realtimeActive = false;
         console.log('🛑 Real-time sync stopped');
@@ -1894,15 +3361,14 @@ async function fetchAdminStats() {
     const createdByCol = groupSchema.createdBy || 'created_by';
     const membersCol = groupSchema.members || 'members';
     const users = await fetchAllUsersForAdmin();
-    const { data: groupsList, error: groupsError } = await window.supabaseClient
-        .from('groups')
-        .select('id, name, ' + createdByCol + ', ' + membersCol);
-    if (groupsError) console.warn('Admin: groups fetch failed', groupsError);
+    // RLS only shows members their own groups, so every group and the live expense count (the trash
+    // is not counted) come from a function that checks the admins table (supabase-roles.sql)
+    const { data: statsRows, error: statsError } = await window.supabaseClient.rpc('admin_group_stats');
+    if (statsError) console.warn('Admin: group stats failed', statsError);
+    const stats = statsRows && statsRows[0];
+    const groupsList = stats ? stats.group_list : null;
     const totalGroups = groupsList ? groupsList.length : 0;
-    const { count: expensesCount, error: expensesError } = await window.supabaseClient
-        .from('expenses')
-        .select('*', { count: 'exact', head: true });
-    if (expensesError) console.warn('Admin: expenses count failed', expensesError);
+    const expensesCount = stats ? stats.live_expenses : null;
     function toEmail(val) {
         if (val == null) return '';
         if (typeof val === 'object' && val.id != null) return String(val.id).toLowerCase();
@@ -2110,16 +3576,37 @@ window.deleteUserInSupabase = deleteUserInSupabase;
 // Make all functions globally available
 window.fetchAllGroupsFromDatabase = fetchAllGroupsFromDatabase;
 window.fetchGroupFromDatabase = fetchGroupFromDatabase;
+window.fetchGroupDelta = fetchGroupDelta;
+window.getGroupViewers = getGroupViewers;
+window.setPresenceEditing = setPresenceEditing;
+window.mapExpenseFromDatabase = mapExpenseFromDatabase;
 window.deleteExpenseFromDatabase = deleteExpenseFromDatabase;
+window.restoreExpenseFromTrash = restoreExpenseFromTrash;
+window.fetchDeletedExpenses = fetchDeletedExpenses;
+window.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
 window.deleteGroupFromDatabase = deleteGroupFromDatabase;
 window.confirmGroupDeletion = confirmGroupDeletion;
 window.restoreGroup = restoreGroup;
 window.syncExpenseToDatabase = syncExpenseToDatabase;
+window.loadRecurringForGroups = loadRecurringForGroups;
+window.saveRecurringTemplate = saveRecurringTemplate;
+window.stopRecurringTemplate = stopRecurringTemplate;
+window.fetchExpenseComments = fetchExpenseComments;
+window.addExpenseComment = addExpenseComment;
+window.deleteExpenseComment = deleteExpenseComment;
+window.recordHistory = recordHistory;
+window.fetchGroupHistory = fetchGroupHistory;
 window.syncGroupToDatabase = syncGroupToDatabase;
 window.syncUserToDatabase = syncUserToDatabase;
 window.syncAllDataToDatabase = syncAllDataToDatabase;
 window.detectDatabaseSchema = detectDatabaseSchema;
+window.replayOfflineQueue = replayOfflineQueue;
 window.joinUserToGroup = joinUserToGroup;
+window.createGroupInvite = createGroupInvite;
+window.fetchGroupInvites = fetchGroupInvites;
+window.revokeGroupInvite = revokeGroupInvite;
+window.setGroupMemberRole = setGroupMemberRole;
+window.claimGroupParticipant = claimGroupParticipant;
 window.removeUserFromGroup = removeUserFromGroup;
 
 // Enhanced sync management functions
@@ -2155,6 +3642,8 @@ window.getSyncStatus = function() {
         hasUser: !!window.currentUser,
         schemaDetected: window.splitEasySync.schemaChecked,
         canSync: !window.splitEasySync.isOffline && !!window.supabaseClient && !!window.currentUser && !window.splitEasySync.isSyncing,
+        pendingChanges: window.OfflineQueue ? window.OfflineQueue.pendingCount() : 0,
+        failedChanges: window.OfflineQueue ? window.OfflineQueue.failedCount() : 0,
         lastSync: window.splitEasySync.lastSyncTime || localStorage.getItem('lastsynctime'),
         schemaMapping: SCHEMA_MAPPING
     };
@@ -2177,7 +3666,9 @@ window.debugSync = function() {
 // Export SCHEMA_MAPPING to window for access from other scripts
 window.SCHEMA_MAPPING = SCHEMA_MAPPING;
 
-// Export saveGroupsToLocalStorageSafe for use in other scripts
-window.saveGroupsToLocalStorageSafe = saveGroupsToLocalStorageSafe;
+// Device cache helpers for use in other scripts
+window.saveCachedGroupsSafe = saveCachedGroupsSafe;
+window.saveCachedGroupSafe = saveCachedGroupSafe;
+window.removeCachedGroupSafe = removeCachedGroupSafe;
 
 console.log('Database schema-aware SplitXpense sync system loaded successfully');
\ No newline at end of file
@@ -61,40 +61,6 @@ function isLocalStorageAvailable() {
     }
 }
 
-// Optimized load from localStorage with caching
-let groupsCache = null;
-let groupsCacheTime = 0;
-const CACHE_TTL = 1000; // 1 second cache
-
-function loadFromLocalStorage() {
-    if (!isLocalStorageAvailable()) return [];
-    
-    const now = Date.now();
-    if (groupsCache && (now - groupsCacheTime) < CACHE_TTL) {
-        return groupsCache;
-    }
-    
-    try {
-        const data = localStorage.getItem('spliteasy_groups');
-        const parsed = data ? JSON.parse(data) : [];
-        groupsCache = parsed;
-        groupsCacheTime = now;
-        return parsed;
-    } catch (error) {
-        console.error('Error parsing groups from localStorage:', error);
-        localStorage.removeItem('spliteasy_groups');
-        groupsCache = [];
-        groupsCacheTime = now;
-        return [];
-    }
-}
-
-// Invalidate cache when data changes
-function invalidateGroupsCache() {
-    groupsCache = null;
-    groupsCacheTime = 0;
-}
-
 // ========================================
 // NOTIFICATION SYSTEM (OPTIMIZED)
 // ========================================
@@ -103,7 +69,8 @@ function invalidateGroupsCache() {
 let notificationElement = null;
 let notificationTimeout = null;
 
-function showNotification(message, type = 'success') {
+// action (optional): { label, onClick, duration } adds a button, e.g. "Undo", and keeps the toast up longer
+function showNotification(message, type = 'success', action = null) {
     console.log(`[${type.toUpperCase()}] ${message}`);
 
     // Cache notification element
@@ -121,12 +88,25 @@ function showNotification(message, type = 'success') {
         notificationElement.className = `notification ${type}`;
         notificationElement.style.display = 'block';
 
-        // Auto-hide after 3 seconds
+        if (action && typeof action.onClick === 'function') {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label || 'Undo';
+            button.addEventListener('click', () => {
+                clearTimeout(notificationTimeout);
+                notificationElement.style.display = 'none';
+                action.onClick();
+            }, { once: true });
+            notificationElement.appendChild(button);
+        }
+
+        // Auto-hide after 3 seconds (longer when there is something to click)
         notificationTimeout = setTimeout(() => {
             if (notificationElement) {
                 notificationElement.style.display = 'none';
             }
-        }, 3000);
+        }, action ? action.duration || 6000 : 3000);
     } else {
         // Fallback to console
         if (type === 'error') {
@@ -141,12 +121,23 @@ function showNotification(message, type = 'success') {
 // DATE & CURRENCY FORMATTING (OPTIMIZED)
 // ========================================
 
-// Cache formatters for better performance
-const currencyFormatter = new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: 'INR',
-    minimumFractionDigits: 2
-});
+// Cache formatters for better performance (one per currency code)
+const currencyFormatters = new Map();
+function getCurrencyFormatter(currency) {
+    const code = currency || 'INR';
+    if (!currencyFormatters.has(code)) {
+        try {
+            currencyFormatters.set(code, new Intl.NumberFormat('en-IN', {
+                style: 'currency',
+                currency: code
+            }));
+        } catch (e) {
+            // Unknown currency code - fall back to rupees
+            return getCurrencyFormatter('INR');
+        }
+    }
+    return currencyFormatters.get(code);
+}
 
 const dateFormatter = new Intl.DateTimeFormat('en-IN', {
     day: 'numeric',
@@ -154,11 +145,29 @@ const dateFormatter = new Intl.DateTimeFormat('en-IN', {
     year: 'numeric'
 });
 
+// Parse an ISO timestamp, or a date-only "YYYY-MM-DD" as a local calendar day (not UTC midnight)
+const dateOnlyRegex = /^(\d{4})-(\d{2})-(\d{2})$/;
+function parseDate(value) {
+    const match = typeof value === 'string' ? value.match(dateOnlyRegex) : null;
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return new Date(value);
+}
+
+// Local calendar day "YYYY-MM-DD" of a date (for grouping and date inputs)
+function toDateKey(value) {
+    if (!value) return '';
+    const date = parseDate(value);
+    if (isNaN(date.getTime())) return '';
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 // Format date for display
 function formatDate(dateString) {
     if (!dateString) return '';
     try {
-        const date = new Date(dateString);
+        const date = parseDate(dateString);
         if (isNaN(date.getTime())) return dateString;
         return dateFormatter.format(date);
     } catch (e) {
@@ -167,10 +176,16 @@ function formatDate(dateString) {
 }
 
 // Format currency for display
-function formatCurrency(amount) {
+function formatCurrency(amount, currency = 'INR') {
     const num = parseFloat(amount) || 0;
     // Keep space between ₹ and amount (e.g., "₹ 70.00")
-    return currencyFormatter.format(num);
+    return getCurrencyFormatter(currency).format(num);
+}
+
+// Format integer minor units (paise/cents) as currency
+function formatMinorCurrency(units, currency = 'INR') {
+    const amount = window.Ledger ? window.Ledger.fromMinor(units, currency) : (parseInt(units, 10) || 0) / 100;
+    return formatCurrency(amount, currency);
 }
 
 // Format relative time (optimized)
@@ -206,9 +221,17 @@ function escapeHtml(text) {
         escapeDiv = document.createElement('div');
     }
     escapeDiv.textContent = text;
-    return escapeDiv.innerHTML;
+    // Quotes too, so the result is also safe inside attribute values
+    return escapeDiv.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
+// ========================================
+// EXPENSE CATEGORIES
+// ========================================
+
+// Used until a group sets its own list
+const DEFAULT_EXPENSE_CATEGORIES = ['Food', 'Groceries', 'Travel', 'Stay', 'Rent', 'Utilities', 'Shopping', 'Entertainment', 'Other'];
+
 // ========================================
 // ID GENERATION
 // ========================================
@@ -262,13 +285,71 @@ function safeUpdateElement(id, content) {
     return false;
 }
 
+// ========================================
+// CONFLICT DIALOG
+// ========================================
+
+// Both versions of each field edited on two devices at once (a Conflicts merge result).
+// Resolves to { [field]: 'local' | 'remote' }; closing the dialog keeps theirs.
+function showConflictDialog(result) {
+    return new Promise(resolve => {
+        const formatMoney = (minor, currency) => formatMinorCurrency(minor, currency || result.remote.currency || 'INR');
+        const side = (conflict, which, entity, label) => `
+            <label class="conflict-option">
+                <input type="radio" name="conflict-${conflict.key}" value="${which}" ${which === 'local' ? 'checked' : ''}>
+                <span class="conflict-side">${label}</span>
+                <span class="conflict-value">${escapeHtml(Conflicts.format(result.kind, conflict.key, entity, formatMoney))}</span>
+            </label>`;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal conflict-modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Changed on another device</h3>
+                </div>
+                <div class="modal-body">
+                    <p class="form-help">Someone else saved "${escapeHtml(result.remote.name || '')}" while you were editing it. Their other changes were kept; choose which version to keep here.</p>
+                    ${result.conflicts.map(conflict => `
+                        <fieldset class="conflict-field">
+                            <legend>${escapeHtml(conflict.label)}</legend>
+                            ${side(conflict, 'local', result.local, 'Yours')}
+                            ${side(conflict, 'remote', result.remote, 'Theirs')}
+                        </fieldset>`).join('')}
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn-secondary" data-choice="remote">Keep theirs</button>
+                    <button type="button" class="btn-success" data-choice="picked">Save</button>
+                </div>
+            </div>`;
+
+        const close = keepPicked => {
+            const choices = {};
+            result.conflicts.forEach(conflict => {
+                const picked = modal.querySelector(`input[name="conflict-${conflict.key}"]:checked`);
+                choices[conflict.key] = keepPicked && picked ? picked.value : 'remote';
+            });
+            modal.remove();
+            resolve(choices);
+        };
+        modal.querySelector('[data-choice="remote"]').addEventListener('click', () => close(false));
+        modal.querySelector('[data-choice="picked"]').addEventListener('click', () => close(true));
+
+        document.body.appendChild(modal);
+        modal.style.display = 'block';
+    });
+}
+
 // ========================================
 // EXPORT TO WINDOW (GLOBAL ACCESS)
 // ========================================
 
 // Make all utility functions globally available
 window.formatCurrency = formatCurrency;
+window.formatMinorCurrency = formatMinorCurrency;
 window.formatDate = formatDate;
+window.toDateKey = toDateKey;
+window.DEFAULT_EXPENSE_CATEGORIES = DEFAULT_EXPENSE_CATEGORIES;
 window.formatRelativeTime = formatRelativeTime;
 window.escapeHtml = escapeHtml;
 window.generateId = generateId;
@@ -276,8 +357,7 @@ window.generateUserId = generateUserId;
 window.isValidUserId = isValidUserId;
 window.isValidEmail = isValidEmail;
 window.showNotification = showNotification;
-window.loadFromLocalStorage = loadFromLocalStorage;
-window.invalidateGroupsCache = invalidateGroupsCache;
+window.showConflictDialog = showConflictDialog;
 window.safeGetElement = safeGetElement;
 window.safeUpdateElement = safeUpdateElement;
 window.debounce = debounce;
@@ -295,7 +375,7 @@ window.debugApp = function() {
         supabase: !!window.supabaseClient,
         online: navigator.onLine,
         cacheSize: domCache.size,
-        groupsCache: groupsCache ? groupsCache.length : 0
+        groupStore: !!window.GroupStore
     };
 };
 
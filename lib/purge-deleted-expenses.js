@@ -0,0 +1,59 @@
+/**
+ * Permanently removes expenses that have been in a group's trash longer than the retention window,
+ * together with their receipt photos (used by the /api/purge-deleted cron).
+ * Keep TRASH_RETENTION_DAYS in step with js/shared-sync.js, which hides older rows from the trash view.
+ */
+const { createClient } = require('@supabase/supabase-js');
+
+const TRASH_RETENTION_DAYS = 30;
+const BATCH_SIZE = 500;
+
+async function purgeDeletedExpenses() {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) {
+    return { ok: false, error: 'SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing' };
+  }
+
+  const supabase = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { data: rows, error: selErr } = await supabase
+    .from('expenses')
+    .select('id, attachments')
+    .lt('deleted_at', cutoff)
+    .limit(BATCH_SIZE);
+
+  if (selErr) {
+    return { ok: false, error: selErr.message };
+  }
+  if (!rows || rows.length === 0) {
+    return { ok: true, cutoff, purged: 0 };
+  }
+
+  // Photos first: if the row delete then fails, the next run retries and missing files are ignored.
+  // The rows stay while their photos do, so a failed removal never leaves files nothing points at.
+  const paths = rows.flatMap(row => (Array.isArray(row.attachments) ? row.attachments : []).map(a => a && a.path).filter(Boolean));
+  if (paths.length > 0) {
+    const { error: storageErr } = await supabase.storage.from('receipts').remove(paths);
+    if (storageErr) {
+      return { ok: false, cutoff, purged: 0, error: storageErr.message };
+    }
+  }
+
+  const { error: delErr } = await supabase
+    .from('expenses')
+    .delete()
+    .in('id', rows.map(row => row.id))
+    .lt('deleted_at', cutoff);
+
+  if (delErr) {
+    return { ok: false, error: delErr.message };
+  }
+
+  return { ok: true, cutoff, purged: rows.length, photos: paths.length };
+}
+
+module.exports = { purgeDeletedExpenses };
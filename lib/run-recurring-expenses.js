@@ -0,0 +1,128 @@
+/**
+ * Creates recurring expenses that have come due in every group (used by the /api/recurring cron).
+ * Same rules as generateDueRecurringExpenses in js/shared-sync.js; the (recurring_id, recurring_due)
+ * unique index keeps the cron and the app from creating the same expense twice.
+ */
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const Ledger = require('../js/ledger');
+const Recurring = require('../js/recurring');
+const AuditLog = require('../js/audit-log');
+
+// Calendar day in the app's time zone (the cron runs in UTC)
+function todayKey() {
+  const timeZone = process.env.RECURRING_TIMEZONE || 'Asia/Kolkata';
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+}
+
+function toExpenseRow(expense, groupId, createdBy) {
+  const normalized = Ledger.normalizeExpense(expense);
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    group_id: groupId,
+    description: expense.name,
+    amount: normalized.amount,
+    amount_minor: normalized.amountMinor,
+    paid_by: normalized.paidBy || 'unknown',
+    payers_minor: normalized.payersMinor,
+    split_between: Array.isArray(expense.splitBetween) ? expense.splitBetween : [],
+    created_by: createdBy || 'recurring',
+    created_at: now,
+    updated_at: now,
+    expense_date: expense.date,
+    category: expense.category || null,
+    note: expense.note || null,
+    per_person_amount: normalized.perPersonAmount,
+    split_type: expense.splitType || 'equal',
+    custom_amounts: normalized.customAmounts,
+    custom_amounts_minor: normalized.customAmountsMinor,
+    split_weights: normalized.splitWeights,
+    itemization: normalized.itemization,
+    currency: expense.currency || Ledger.DEFAULT_CURRENCY,
+    exchange_rate: parseFloat(expense.exchangeRate) || 1,
+    entry_type: 'expense',
+    recurring_id: expense.recurringId,
+    recurring_due: expense.recurringDue
+  };
+}
+
+async function runRecurringExpenses() {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) {
+    return { ok: false, error: 'SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing' };
+  }
+
+  const supabase = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  const today = todayKey();
+  const { data: rows, error: selErr } = await supabase
+    .from('recurring_expenses')
+    .select('*')
+    .eq('active', true)
+    .lte('next_due', today);
+
+  if (selErr) {
+    return { ok: false, error: selErr.message };
+  }
+
+  let created = 0;
+  const failed = [];
+
+  for (const row of rows || []) {
+    const template = Recurring.fromRow(row);
+    const dueDates = Recurring.dueDates(template, today);
+    if (dueDates.length === 0) continue;
+
+    const expenseRows = dueDates.map(dueKey =>
+      toExpenseRow(Recurring.buildExpense(template, dueKey), template.groupId, template.createdBy)
+    );
+    const { data, error: insErr } = await supabase
+      .from('expenses')
+      .upsert(expenseRows, { onConflict: 'recurring_id,recurring_due', ignoreDuplicates: true })
+      .select('id, recurring_due');
+
+    if (insErr) {
+      failed.push({ id: template.id, error: insErr.message });
+      continue;
+    }
+    created += (data || []).length;
+
+    // Only rows actually inserted come back, so the history gets one entry per new expense
+    const historyRows = (data || []).map(inserted => {
+      const expense = Recurring.buildExpense(template, inserted.recurring_due);
+      return {
+        group_id: template.groupId,
+        entity_type: 'expense',
+        entity_id: inserted.id,
+        action: 'create',
+        actor_id: null,
+        actor_name: 'Automatic',
+        snapshot: { ...AuditLog.expenseSnapshot(Ledger.normalizeExpense(expense)), recurring: true }
+      };
+    });
+    if (historyRows.length > 0) {
+      const { error: histErr } = await supabase.from('group_history').insert(historyRows);
+      if (histErr) {
+        console.warn('Recurring history not recorded:', histErr.message);
+      }
+    }
+
+    const { error: upErr } = await supabase
+      .from('recurring_expenses')
+      .update({ next_due: Recurring.nextDueDate(template, dueDates[dueDates.length - 1]), updated_at: new Date().toISOString() })
+      .eq('id', template.id)
+      .eq('next_due', template.nextDue);
+
+    if (upErr) {
+      failed.push({ id: template.id, error: upErr.message });
+    }
+  }
+
+  return { ok: failed.length === 0, today, templates: (rows || []).length, created, failed };
+}
+
+module.exports = { runRecurringExpenses };
@@ -0,0 +1,28 @@
+-- Optimistic concurrency for groups and expenses. Every UPDATE bumps version (the trigger covers
+-- every writer: the app, the service worker replay and the crons). The app only writes to the version
+-- its copy was read at; when the row moved on it merges both edits field by field and asks the
+-- user about fields changed on both sides.
+-- Run once in Supabase SQL Editor (after supabase-soft-delete.sql).
+
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION public.bump_row_version()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS groups_bump_version ON public.groups;
+CREATE TRIGGER groups_bump_version
+  BEFORE UPDATE ON public.groups
+  FOR EACH ROW EXECUTE FUNCTION public.bump_row_version();
+
+DROP TRIGGER IF EXISTS expenses_bump_version ON public.expenses;
+CREATE TRIGGER expenses_bump_version
+  BEFORE UPDATE ON public.expenses
+  FOR EACH ROW EXECUTE FUNCTION public.bump_row_version();
@@ -0,0 +1,13 @@
+-- Multi-currency groups: each group has a base currency, each expense keeps the
+-- currency it was entered in plus the rate used to convert it (base units per 1 unit).
+-- Run once in Supabase SQL Editor (after supabase-minor-units.sql).
+
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS base_currency text NOT NULL DEFAULT 'INR';
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS currency text;
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS exchange_rate numeric NOT NULL DEFAULT 1;
+
+-- Existing expenses were entered in their group's base currency
+UPDATE public.expenses e
+SET currency = g.base_currency
+FROM public.groups g
+WHERE e.group_id = g.id AND e.currency IS NULL;
@@ -0,0 +1,31 @@
+-- Delta sync: every device keeps a per-group high-water mark (the newest updated_at it has seen) and
+-- only asks for rows updated after it. The database sets updated_at on every insert and update, so a
+-- device with a wrong clock cannot write a row that sorts behind someone else's mark. Soft-deleted
+-- expenses (supabase-soft-delete.sql) are the tombstones that carry deletions to other devices.
+-- Run once in Supabase SQL Editor (after supabase-conflicts.sql).
+
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now();
+
+CREATE OR REPLACE FUNCTION public.touch_updated_at()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS groups_touch_updated_at ON public.groups;
+CREATE TRIGGER groups_touch_updated_at
+  BEFORE INSERT OR UPDATE ON public.groups
+  FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+DROP TRIGGER IF EXISTS expenses_touch_updated_at ON public.expenses;
+CREATE TRIGGER expenses_touch_updated_at
+  BEFORE INSERT OR UPDATE ON public.expenses
+  FOR EACH ROW EXECUTE FUNCTION public.touch_updated_at();
+
+-- "Expenses of this group changed since X" (live rows and tombstones)
+CREATE INDEX IF NOT EXISTS expenses_group_updated_idx ON public.expenses (group_id, updated_at);
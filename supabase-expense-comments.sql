@@ -0,0 +1,81 @@
+-- Comment thread per expense ("was this including the tip?"). Comments are pushed live to
+-- open group pages through the same realtime channel as groups and expenses.
+-- Only the group's members can read and add comments, and only as themselves; authors delete their own.
+-- Run once in Supabase SQL Editor (after supabase-recurring.sql).
+
+CREATE TABLE IF NOT EXISTS public.expense_comments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  expense_id uuid NOT NULL REFERENCES public.expenses (id) ON DELETE CASCADE,
+  group_id uuid NOT NULL REFERENCES public.groups (id) ON DELETE CASCADE,
+  author_id text NOT NULL,
+  author_name text,
+  body text NOT NULL CHECK (char_length(body) BETWEEN 1 AND 1000),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS expense_comments_group_idx ON public.expense_comments (group_id, created_at);
+CREATE INDEX IF NOT EXISTS expense_comments_expense_idx ON public.expense_comments (expense_id);
+
+ALTER TABLE public.expense_comments ENABLE ROW LEVEL SECURITY;
+
+-- Whether the signed-in user is in the group (reads groups past its RLS)
+CREATE OR REPLACE FUNCTION public.comment_group_member(p_group_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.groups g
+    WHERE g.id = p_group_id
+      AND (
+        lower(g.created_by) = lower(auth.jwt() ->> 'email')
+        OR EXISTS (
+          SELECT 1 FROM jsonb_array_elements_text(coalesce(g.members, '[]'::jsonb)) AS member
+          WHERE lower(member) = lower(auth.jwt() ->> 'email')
+        )
+      )
+  );
+$$;
+
+DROP POLICY IF EXISTS "expense_comments_select" ON public.expense_comments;
+CREATE POLICY "expense_comments_select"
+  ON public.expense_comments
+  FOR SELECT
+  TO authenticated
+  USING (public.comment_group_member(group_id));
+
+-- The comment must belong to an expense of that group
+DROP POLICY IF EXISTS "expense_comments_insert" ON public.expense_comments;
+CREATE POLICY "expense_comments_insert"
+  ON public.expense_comments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    lower(author_id) = lower(auth.jwt() ->> 'email')
+    AND public.comment_group_member(group_id)
+    AND EXISTS (SELECT 1 FROM public.expenses e WHERE e.id = expense_id AND e.group_id = expense_comments.group_id)
+  );
+
+DROP POLICY IF EXISTS "expense_comments_delete" ON public.expense_comments;
+CREATE POLICY "expense_comments_delete"
+  ON public.expense_comments
+  FOR DELETE
+  TO authenticated
+  USING (lower(author_id) = lower(auth.jwt() ->> 'email'));
+
+-- Realtime sends deletes to every subscriber (they cannot be filtered), so they must only carry the
+-- primary key: the default replica identity logs nothing else, and pages look the id up themselves
+ALTER TABLE public.expense_comments REPLICA IDENTITY DEFAULT;
+
+-- Realtime only streams tables in the supabase_realtime publication
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'expense_comments'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.expense_comments;
+  END IF;
+END $$;
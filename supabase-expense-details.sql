@@ -0,0 +1,15 @@
+-- Expense dates, categories and notes. expense_date is the day the expense happened
+-- (created_at stays the time it was entered); groups.categories overrides the app's default list.
+-- Run once in Supabase SQL Editor (after supabase-multiple-payers.sql).
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS expense_date date;
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS category text;
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS note text;
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS categories jsonb;
+
+-- Existing expenses happened when they were entered
+UPDATE public.expenses
+SET expense_date = created_at::date
+WHERE expense_date IS NULL AND created_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS expenses_group_date_idx ON public.expenses (group_id, expense_date);
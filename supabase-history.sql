@@ -0,0 +1,108 @@
+-- Append-only history of every change to a group, its expenses and its members, shown in the
+-- History tab of group-detail.html. Rows are only ever inserted, through record_group_history(), and
+-- only the group's members can read them. There is no foreign key to groups so the record outlives a
+-- deleted group.
+-- Run once in Supabase SQL Editor (after supabase-receipts.sql).
+
+CREATE TABLE IF NOT EXISTS public.group_history (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  group_id uuid NOT NULL,
+  entity_type text NOT NULL CHECK (entity_type IN ('group', 'expense', 'member')),
+  entity_id text,
+  action text NOT NULL CHECK (action IN ('create', 'update', 'delete', 'join', 'leave', 'request_delete', 'restore')),
+  actor_id text,
+  actor_name text,
+  -- [{ field, from, to }]; amount changes hold { minor, currency } on each side
+  changes jsonb,
+  -- Name/amount/payer of the expense or group at the time, so deleted entries still read well
+  snapshot jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS group_history_group_idx ON public.group_history (group_id, created_at DESC);
+
+ALTER TABLE public.group_history ENABLE ROW LEVEL SECURITY;
+
+-- Whether the signed-in user is in the group (reads groups past its RLS)
+CREATE OR REPLACE FUNCTION public.history_group_member(p_group_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.groups g
+    WHERE g.id = p_group_id
+      AND (
+        lower(g.created_by) = lower(auth.jwt() ->> 'email')
+        OR EXISTS (
+          SELECT 1 FROM jsonb_array_elements_text(coalesce(g.members, '[]'::jsonb)) AS member
+          WHERE lower(member) = lower(auth.jwt() ->> 'email')
+        )
+      )
+  );
+$$;
+
+DROP POLICY IF EXISTS "group_history_select" ON public.group_history;
+CREATE POLICY "group_history_select"
+  ON public.group_history
+  FOR SELECT
+  TO authenticated
+  USING (public.history_group_member(group_id));
+
+-- Clients add rows only through record_group_history(), which sets the actor itself
+DROP POLICY IF EXISTS "group_history_insert" ON public.group_history;
+REVOKE INSERT, UPDATE, DELETE ON public.group_history FROM anon, authenticated;
+
+-- Append one entry as the signed-in user, or as 'Automatic' (p_automatic) for recurring expenses.
+-- Members only; someone who just left can still record their own 'leave'.
+CREATE OR REPLACE FUNCTION public.record_group_history(
+  p_group_id uuid,
+  p_entity_type text,
+  p_entity_id text,
+  p_action text,
+  p_changes jsonb DEFAULT NULL,
+  p_snapshot jsonb DEFAULT NULL,
+  p_automatic boolean DEFAULT false
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user text := lower(nullif(auth.jwt() ->> 'email', ''));
+  v_name text;
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'not_signed_in' USING ERRCODE = '42501';
+  END IF;
+  IF NOT public.history_group_member(p_group_id)
+    AND NOT (p_entity_type = 'member' AND p_action = 'leave' AND lower(p_entity_id) = v_user)
+  THEN
+    RAISE EXCEPTION 'history_forbidden' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT p_automatic THEN
+    SELECT u.name INTO v_name FROM public.users u WHERE lower(u.id) = v_user;
+  END IF;
+
+  INSERT INTO public.group_history (group_id, entity_type, entity_id, action, actor_id, actor_name, changes, snapshot)
+  VALUES (
+    p_group_id,
+    p_entity_type,
+    p_entity_id,
+    p_action,
+    CASE WHEN p_automatic THEN NULL ELSE v_user END,
+    CASE WHEN p_automatic THEN 'Automatic' ELSE coalesce(v_name, v_user) END,
+    p_changes,
+    p_snapshot
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.record_group_history(uuid, text, text, text, jsonb, jsonb, boolean) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.record_group_history(uuid, text, text, text, jsonb, jsonb, boolean) TO authenticated;
+
+-- The recurring-expense cron writes with the service role, which bypasses RLS.
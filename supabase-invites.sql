@@ -0,0 +1,242 @@
+-- Invite links: a group is joined with a token from group_invites instead of its bare id. Tokens are
+-- random and only their SHA-256 is stored; each one expires, can be limited to a number of uses and
+-- can be revoked by the group owner or whoever created it. New members get the invite's role.
+-- Clients never read the table: tokens are created, listed, redeemed and revoked through the
+-- functions below, which only take the caller's identity from their Supabase Auth session.
+-- supabase-roles.sql takes direct writes to groups away from the anon role, so redeeming a token is
+-- the only way into a group.
+-- Run once in Supabase SQL Editor (after supabase-delta-sync.sql).
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- Role of each member other than the owner (created_by): { "<user id>": "admin" | "member" | "viewer" }
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS roles jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE TABLE IF NOT EXISTS public.group_invites (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id uuid NOT NULL REFERENCES public.groups (id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  role text NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member', 'viewer')),
+  max_uses integer CHECK (max_uses IS NULL OR max_uses > 0),
+  uses integer NOT NULL DEFAULT 0,
+  expires_at timestamptz NOT NULL,
+  created_by text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  revoked_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS group_invites_group_idx ON public.group_invites (group_id, created_at DESC);
+
+-- No policies: only the SECURITY DEFINER functions below touch the table
+ALTER TABLE public.group_invites ENABLE ROW LEVEL SECURITY;
+
+-- Earlier versions took the caller's id as a p_user_id argument
+DROP FUNCTION IF EXISTS public.create_group_invite(uuid, text, text, integer, integer);
+DROP FUNCTION IF EXISTS public.list_group_invites(uuid, text);
+DROP FUNCTION IF EXISTS public.revoke_group_invite(uuid, text);
+DROP FUNCTION IF EXISTS public.redeem_group_invite(uuid, text, text);
+DROP FUNCTION IF EXISTS public.request_user_id(text);
+
+-- The signed-in email, or null without a Supabase Auth session
+CREATE OR REPLACE FUNCTION public.auth_user_id()
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT lower(nullif(auth.jwt() ->> 'email', ''));
+$$;
+
+-- The caller's user id for the functions below; an id sent by the client is never trusted
+CREATE OR REPLACE FUNCTION public.require_user_id()
+RETURNS text
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_user text := public.auth_user_id();
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'not_signed_in' USING ERRCODE = '42501';
+  END IF;
+  RETURN v_user;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_group_member(p_group public.groups, p_user_id text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT lower(p_group.created_by) = p_user_id
+    OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(coalesce(p_group.members, '[]'::jsonb)) AS member
+      WHERE lower(member) = p_user_id
+    );
+$$;
+
+-- A new token for a group; the only time the token itself is returned
+CREATE OR REPLACE FUNCTION public.create_group_invite(
+  p_group_id uuid,
+  p_role text DEFAULT 'member',
+  p_expires_in_hours integer DEFAULT 168,
+  p_max_uses integer DEFAULT NULL
+)
+RETURNS TABLE (id uuid, token text, role text, max_uses integer, uses integer, expires_at timestamptz, created_by text)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_user text := public.require_user_id();
+  v_group public.groups;
+  v_token text;
+BEGIN
+  SELECT * INTO v_group FROM public.groups g WHERE g.id = p_group_id;
+  IF NOT FOUND OR NOT public.is_group_member(v_group, v_user) THEN
+    RAISE EXCEPTION 'invite_forbidden';
+  END IF;
+  -- Only the owner hands out admin rights
+  IF p_role = 'admin' AND lower(v_group.created_by) <> v_user THEN
+    RAISE EXCEPTION 'invite_forbidden';
+  END IF;
+  IF p_expires_in_hours IS NULL OR p_expires_in_hours < 1 OR p_expires_in_hours > 24 * 90 THEN
+    RAISE EXCEPTION 'invite_bad_expiry';
+  END IF;
+
+  v_token := rtrim(translate(encode(gen_random_bytes(24), 'base64'), '+/', '-_'), '=');
+
+  RETURN QUERY
+  INSERT INTO public.group_invites AS i (group_id, token_hash, role, max_uses, expires_at, created_by)
+  VALUES (
+    p_group_id,
+    encode(digest(v_token, 'sha256'), 'hex'),
+    coalesce(p_role, 'member'),
+    p_max_uses,
+    now() + make_interval(hours => p_expires_in_hours),
+    v_user
+  )
+  RETURNING i.id, v_token, i.role, i.max_uses, i.uses, i.expires_at, i.created_by;
+END;
+$$;
+
+-- Invites that can still be used: all of them for the owner, their own for other members
+CREATE OR REPLACE FUNCTION public.list_group_invites(p_group_id uuid)
+RETURNS TABLE (id uuid, role text, max_uses integer, uses integer, expires_at timestamptz, created_by text, created_at timestamptz)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_user text := public.require_user_id();
+  v_group public.groups;
+BEGIN
+  SELECT * INTO v_group FROM public.groups g WHERE g.id = p_group_id;
+  IF NOT FOUND OR NOT public.is_group_member(v_group, v_user) THEN
+    RAISE EXCEPTION 'invite_forbidden';
+  END IF;
+
+  RETURN QUERY
+  SELECT i.id, i.role, i.max_uses, i.uses, i.expires_at, i.created_by, i.created_at
+  FROM public.group_invites i
+  WHERE i.group_id = p_group_id
+    AND i.revoked_at IS NULL
+    AND i.expires_at > now()
+    AND (i.max_uses IS NULL OR i.uses < i.max_uses)
+    AND (lower(v_group.created_by) = v_user OR i.created_by = v_user)
+  ORDER BY i.created_at DESC;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.revoke_group_invite(p_invite_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user text := public.require_user_id();
+  v_invite public.group_invites;
+  v_owner text;
+BEGIN
+  SELECT * INTO v_invite FROM public.group_invites i WHERE i.id = p_invite_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'invite_invalid';
+  END IF;
+  SELECT lower(g.created_by) INTO v_owner FROM public.groups g WHERE g.id = v_invite.group_id;
+  IF v_owner IS DISTINCT FROM v_user AND v_invite.created_by <> v_user THEN
+    RAISE EXCEPTION 'invite_forbidden';
+  END IF;
+
+  UPDATE public.group_invites SET revoked_at = now() WHERE id = p_invite_id AND revoked_at IS NULL;
+END;
+$$;
+
+-- Join a group with a token: checks it, uses it up and adds the caller with the invite's role.
+-- Someone who is already a member gets in whatever state the token is in, without using it.
+CREATE OR REPLACE FUNCTION public.redeem_group_invite(p_group_id uuid, p_token text)
+RETURNS TABLE (group_id uuid, role text, was_new_member boolean)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_user text := public.require_user_id();
+  v_invite public.group_invites;
+  v_group public.groups;
+BEGIN
+  IF p_token IS NULL THEN
+    RAISE EXCEPTION 'invite_invalid';
+  END IF;
+
+  SELECT * INTO v_invite FROM public.group_invites i
+  WHERE i.token_hash = encode(digest(p_token, 'sha256'), 'hex') AND i.group_id = p_group_id
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'invite_invalid';
+  END IF;
+
+  SELECT * INTO v_group FROM public.groups g WHERE g.id = p_group_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'invite_invalid';
+  END IF;
+
+  IF public.is_group_member(v_group, v_user) THEN
+    RETURN QUERY SELECT p_group_id,
+      CASE WHEN lower(v_group.created_by) = v_user THEN 'owner' ELSE coalesce(v_group.roles ->> v_user, 'member') END,
+      false;
+    RETURN;
+  END IF;
+
+  IF v_invite.revoked_at IS NOT NULL THEN
+    RAISE EXCEPTION 'invite_revoked';
+  END IF;
+  IF v_invite.expires_at <= now() THEN
+    RAISE EXCEPTION 'invite_expired';
+  END IF;
+  IF v_invite.max_uses IS NOT NULL AND v_invite.uses >= v_invite.max_uses THEN
+    RAISE EXCEPTION 'invite_used_up';
+  END IF;
+
+  UPDATE public.group_invites SET uses = uses + 1 WHERE id = v_invite.id;
+  UPDATE public.groups
+  SET members = coalesce(members, '[]'::jsonb) || to_jsonb(v_user),
+      roles = coalesce(roles, '{}'::jsonb) || jsonb_build_object(v_user, v_invite.role),
+      updated_by = v_user
+  WHERE id = p_group_id;
+
+  RETURN QUERY SELECT p_group_id, v_invite.role, true;
+END;
+$$;
+
+-- Signed-in users only (functions are executable by everyone unless revoked)
+REVOKE ALL ON FUNCTION public.create_group_invite(uuid, text, integer, integer) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.list_group_invites(uuid) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.revoke_group_invite(uuid) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.redeem_group_invite(uuid, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.create_group_invite(uuid, text, integer, integer) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.list_group_invites(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.revoke_group_invite(uuid) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.redeem_group_invite(uuid, text) TO authenticated;
@@ -0,0 +1,5 @@
+-- Itemized expenses: the receipt's line items (each with its own people) plus tax and tip,
+-- all in minor units. custom_amounts / custom_amounts_minor hold the per-person result.
+-- Run once in Supabase SQL Editor (after supabase-split-weights.sql).
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS itemization jsonb;
@@ -0,0 +1,20 @@
+-- Store expense amounts as integer minor units (paise/cents) so splits add up exactly.
+-- amount / custom_amounts stay as derived decimal values for older clients.
+-- Run once in Supabase SQL Editor (after supabase-payments.sql).
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS amount_minor bigint;
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS custom_amounts_minor jsonb;
+
+-- Backfill existing rows from the decimal columns
+UPDATE public.expenses
+SET amount_minor = round(amount * 100)::bigint
+WHERE amount_minor IS NULL AND amount IS NOT NULL;
+
+UPDATE public.expenses e
+SET custom_amounts_minor = (
+  SELECT jsonb_object_agg(key, round((value #>> '{}')::numeric * 100)::bigint)
+  FROM jsonb_each(e.custom_amounts)
+)
+WHERE e.custom_amounts_minor IS NULL
+  AND e.custom_amounts IS NOT NULL
+  AND jsonb_typeof(e.custom_amounts) = 'object';
@@ -0,0 +1,5 @@
+-- Multiple payers on one expense: payers_minor maps each payer to what they paid
+-- (minor units of the expense currency). paid_by keeps the first payer for older clients.
+-- Run once in Supabase SQL Editor (after supabase-itemization.sql).
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS payers_minor jsonb;
@@ -0,0 +1,72 @@
+-- Linking participant names to accounts. Expenses refer to people by the names in
+-- groups.participants; someone who joins later picks the name the group has been using for them
+-- ("Priya"), so those expenses and the balance under that name become theirs.
+-- groups.participant_claims maps a participant name to the user id that claimed it; a name has at
+-- most one claimant and a user claims at most one name per group. It only changes through
+-- claim_group_participant().
+-- Run once in Supabase SQL Editor (after supabase-roles.sql).
+
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS participant_claims jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- Plain updates from signed-in sessions keep the claims as they were
+CREATE OR REPLACE FUNCTION public.keep_participant_claims()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user = 'authenticated' THEN
+    NEW.participant_claims := OLD.participant_claims;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS groups_keep_participant_claims ON public.groups;
+CREATE TRIGGER groups_keep_participant_claims
+  BEFORE UPDATE ON public.groups
+  FOR EACH ROW EXECUTE FUNCTION public.keep_participant_claims();
+
+-- Earlier versions took the caller's id as p_user_id
+DROP FUNCTION IF EXISTS public.claim_group_participant(uuid, text, text);
+
+-- Claim p_participant for the caller, replacing any name they claimed before;
+-- p_participant null only drops the caller's claim
+CREATE OR REPLACE FUNCTION public.claim_group_participant(p_group_id uuid, p_participant text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user text := public.require_user_id();
+  v_group public.groups;
+  v_claims jsonb;
+BEGIN
+  SELECT * INTO v_group FROM public.groups g WHERE g.id = p_group_id FOR UPDATE;
+  IF NOT FOUND OR NOT public.is_group_member(v_group, v_user) THEN
+    RAISE EXCEPTION 'claim_forbidden';
+  END IF;
+
+  SELECT coalesce(jsonb_object_agg(c.key, c.value), '{}'::jsonb) INTO v_claims
+  FROM jsonb_each(coalesce(v_group.participant_claims, '{}'::jsonb)) AS c
+  WHERE lower(c.value #>> '{}') <> v_user;
+
+  IF p_participant IS NOT NULL THEN
+    IF NOT coalesce(v_group.participants, '[]'::jsonb) ? p_participant THEN
+      RAISE EXCEPTION 'claim_unknown';
+    END IF;
+    IF v_claims ? p_participant THEN
+      RAISE EXCEPTION 'claim_taken';
+    END IF;
+    v_claims := v_claims || jsonb_build_object(p_participant, v_user);
+  END IF;
+
+  UPDATE public.groups
+  SET participant_claims = v_claims,
+      updated_by = v_user
+  WHERE id = p_group_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.claim_group_participant(uuid, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.claim_group_participant(uuid, text) TO authenticated;
@@ -0,0 +1,10 @@
+-- Settlement payments ("Asha paid Ravi ₹500") are stored as rows in public.expenses.
+-- entry_type = 'payment' rows credit paid_by and debit the single split_between name;
+-- the app excludes them from spending totals. Run once in Supabase SQL Editor.
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS entry_type text NOT NULL DEFAULT 'expense';
+
+ALTER TABLE public.expenses DROP CONSTRAINT IF EXISTS expenses_entry_type_check;
+
+ALTER TABLE public.expenses
+  ADD CONSTRAINT expenses_entry_type_check CHECK (entry_type IN ('expense', 'payment'));
@@ -0,0 +1,72 @@
+-- Receipt photos on expenses. Images are compressed in the browser and uploaded to the public
+-- "receipts" Storage bucket under <group id>/; expenses.attachments lists them
+-- ([{ path, url, name, size, width, height, uploadedAt }]).
+-- Run once in Supabase SQL Editor (after supabase-expense-comments.sql).
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS attachments jsonb;
+
+-- Public so thumbnails load as plain <img> tags and the service worker can cache them; file names are random UUIDs
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('receipts', 'receipts', true, 5242880, ARRAY['image/jpeg'])
+ON CONFLICT (id) DO NOTHING;
+
+-- Whether the signed-in user is in the group whose folder holds the file (reads groups past its RLS)
+CREATE OR REPLACE FUNCTION public.receipt_group_member(p_name text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.groups g
+    WHERE g.id::text = (storage.foldername(p_name))[1]
+      AND (
+        lower(g.created_by) = lower(auth.jwt() ->> 'email')
+        OR EXISTS (
+          SELECT 1 FROM jsonb_array_elements_text(coalesce(g.members, '[]'::jsonb)) AS member
+          WHERE lower(member) = lower(auth.jwt() ->> 'email')
+        )
+      )
+  );
+$$;
+
+-- Whether an expense, in the trash or not, still shows the file
+CREATE OR REPLACE FUNCTION public.receipt_in_use(p_name text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM public.expenses e
+    WHERE e.group_id::text = (storage.foldername(p_name))[1]
+      AND e.attachments @> jsonb_build_array(jsonb_build_object('path', p_name))
+  );
+$$;
+
+-- The public URL serves the images without a policy. This one only lets members see their groups'
+-- files, which Storage requires for removing them.
+DROP POLICY IF EXISTS "receipts_select" ON storage.objects;
+CREATE POLICY "receipts_select"
+  ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (bucket_id = 'receipts' AND public.receipt_group_member(name));
+
+DROP POLICY IF EXISTS "receipts_insert" ON storage.objects;
+CREATE POLICY "receipts_insert"
+  ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (bucket_id = 'receipts' AND public.receipt_group_member(name));
+
+-- Members remove photos once no expense shows them any more (taken off an expense, an upload that
+-- was never saved, a deleted group). Photos of expenses in the trash go with the purge cron (service role).
+DROP POLICY IF EXISTS "receipts_delete" ON storage.objects;
+CREATE POLICY "receipts_delete"
+  ON storage.objects
+  FOR DELETE
+  TO authenticated
+  USING (bucket_id = 'receipts' AND public.receipt_group_member(name) AND NOT public.receipt_in_use(name));
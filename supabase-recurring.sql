@@ -0,0 +1,28 @@
+-- Recurring expense templates (rent, subscriptions). Each template generates a normal expense on every
+-- due date, either when a member opens the group or when the /api/recurring cron runs.
+-- Generated expenses point back at their template through recurring_id / recurring_due.
+-- Run once in Supabase SQL Editor (after supabase-expense-details.sql).
+
+CREATE TABLE IF NOT EXISTS public.recurring_expenses (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id uuid NOT NULL REFERENCES public.groups (id) ON DELETE CASCADE,
+  frequency text NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'custom')),
+  interval_days integer CHECK (interval_days IS NULL OR interval_days > 0),
+  start_date date NOT NULL,
+  next_due date NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  -- Expense fields copied onto each generated expense (name, amountMinor, paidBy, splitBetween, splitType, ...)
+  template jsonb NOT NULL,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS recurring_expenses_group_idx ON public.recurring_expenses (group_id);
+CREATE INDEX IF NOT EXISTS recurring_expenses_due_idx ON public.recurring_expenses (next_due) WHERE active;
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS recurring_id uuid REFERENCES public.recurring_expenses (id) ON DELETE SET NULL;
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS recurring_due date;
+
+-- One expense per template per due date, so the app and the cron can both generate without duplicates
+CREATE UNIQUE INDEX IF NOT EXISTS expenses_recurring_due_idx ON public.expenses (recurring_id, recurring_due);
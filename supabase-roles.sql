@@ -0,0 +1,310 @@
+-- Member roles inside a group. The creator (created_by) is the owner; everyone else has a role in
+-- groups.roles (added by supabase-invites.sql), 'member' when none is set:
+--   owner  - everything, including roles and deleting the group
+--   admin  - edit the group, its members and any expense
+--   member - add expenses and payments, edit and delete their own
+--   viewer - read only
+-- Enforced here against the signed-in (Supabase Auth) email; the app only works signed in, and the
+-- anon role has no access to groups, expenses or recurring templates. The crons use the service role.
+-- Replaces every existing policy on groups, expenses and recurring_expenses. admin.html reads its
+-- totals through admin_group_stats() at the end, which needs the admins table.
+-- Run once in Supabase SQL Editor (after supabase-invites.sql).
+
+-- 'owner' | 'admin' | 'member' | 'viewer', or null for someone outside the group
+CREATE OR REPLACE FUNCTION public.group_role(p_group public.groups, p_user_id text)
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN p_user_id IS NULL THEN NULL
+    WHEN lower(p_group.created_by) = p_user_id THEN 'owner'
+    WHEN public.is_group_member(p_group, p_user_id) THEN coalesce(p_group.roles ->> p_user_id, 'member')
+    ELSE NULL
+  END;
+$$;
+
+-- Role of the signed-in user in a group, for the expenses policies (reads groups past its RLS)
+CREATE OR REPLACE FUNCTION public.auth_group_role(p_group_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.group_role(g, public.auth_user_id()) FROM public.groups g WHERE g.id = p_group_id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.group_deletion_pending(p_group_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT coalesce((SELECT g.pending_deletion FROM public.groups g WHERE g.id = p_group_id), false);
+$$;
+
+-- ========================================
+-- Policies
+-- ========================================
+
+DO $$
+DECLARE
+  p record;
+BEGIN
+  FOR p IN SELECT policyname, tablename FROM pg_policies WHERE schemaname = 'public' AND tablename IN ('groups', 'expenses', 'recurring_expenses') LOOP
+    EXECUTE format('DROP POLICY %I ON public.%I', p.policyname, p.tablename);
+  END LOOP;
+END;
+$$;
+
+ALTER TABLE public.groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.expenses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.recurring_expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "groups_select" ON public.groups
+  FOR SELECT TO authenticated
+  USING (public.group_role(groups, public.auth_user_id()) IS NOT NULL);
+
+CREATE POLICY "groups_insert" ON public.groups
+  FOR INSERT TO authenticated
+  WITH CHECK (lower(created_by) = public.auth_user_id());
+
+-- Which columns each role may change is checked by the trigger below; leaving keeps working
+-- because the new row does not have to include the user any more
+CREATE POLICY "groups_update" ON public.groups
+  FOR UPDATE TO authenticated
+  USING (public.group_role(groups, public.auth_user_id()) IS NOT NULL)
+  WITH CHECK (true);
+
+-- The owner, or the last member to confirm a deletion the owner started
+CREATE POLICY "groups_delete" ON public.groups
+  FOR DELETE TO authenticated
+  USING (
+    public.group_role(groups, public.auth_user_id()) = 'owner'
+    OR (pending_deletion AND public.group_role(groups, public.auth_user_id()) IS NOT NULL)
+  );
+
+CREATE POLICY "expenses_select" ON public.expenses
+  FOR SELECT TO authenticated
+  USING (public.auth_group_role(group_id) IS NOT NULL);
+
+CREATE POLICY "expenses_insert" ON public.expenses
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    public.auth_group_role(group_id) IN ('owner', 'admin')
+    OR (public.auth_group_role(group_id) = 'member' AND lower(created_by) = public.auth_user_id())
+  );
+
+-- Soft deletes and restores are updates too
+CREATE POLICY "expenses_update" ON public.expenses
+  FOR UPDATE TO authenticated
+  USING (
+    public.auth_group_role(group_id) IN ('owner', 'admin')
+    OR (public.auth_group_role(group_id) = 'member' AND lower(created_by) = public.auth_user_id())
+  )
+  WITH CHECK (
+    public.auth_group_role(group_id) IN ('owner', 'admin')
+    OR (public.auth_group_role(group_id) = 'member' AND lower(created_by) = public.auth_user_id())
+  );
+
+CREATE POLICY "expenses_delete" ON public.expenses
+  FOR DELETE TO authenticated
+  USING (
+    public.auth_group_role(group_id) IN ('owner', 'admin')
+    OR (public.auth_group_role(group_id) = 'member' AND lower(created_by) = public.auth_user_id())
+    OR (public.group_deletion_pending(group_id) AND public.auth_group_role(group_id) IS NOT NULL)
+  );
+
+-- A template adds expenses under its creator's name, so it follows the expense rules
+CREATE POLICY "recurring_select" ON public.recurring_expenses
+  FOR SELECT TO authenticated
+  USING (public.auth_group_role(group_id) IS NOT NULL);
+
+CREATE POLICY "recurring_write" ON public.recurring_expenses
+  FOR ALL TO authenticated
+  USING (
+    public.auth_group_role(group_id) IN ('owner', 'admin')
+    OR (public.auth_group_role(group_id) = 'member' AND lower(created_by) = public.auth_user_id())
+  )
+  WITH CHECK (
+    public.auth_group_role(group_id) IN ('owner', 'admin')
+    OR (public.auth_group_role(group_id) = 'member' AND lower(created_by) = public.auth_user_id())
+  );
+
+-- ========================================
+-- Column rules for group updates
+-- ========================================
+
+-- created_by and roles never change through a plain update (roles go through set_group_member_role).
+-- Members and viewers may only leave and take part in a deletion the owner started.
+-- Writes made by the SECURITY DEFINER functions and the crons (service role) skip it.
+CREATE OR REPLACE FUNCTION public.enforce_group_roles()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user text := public.auth_user_id();
+  v_role text;
+BEGIN
+  IF current_user <> 'authenticated' THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.created_by := OLD.created_by;
+  NEW.roles := OLD.roles;
+
+  v_role := public.group_role(OLD, v_user);
+  IF v_role IN ('owner', 'admin') THEN
+    IF NEW.pending_deletion AND NOT coalesce(OLD.pending_deletion, false) AND v_role <> 'owner' THEN
+      RAISE EXCEPTION 'role_forbidden' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.name IS DISTINCT FROM OLD.name
+    OR NEW.base_currency IS DISTINCT FROM OLD.base_currency
+    OR NEW.categories IS DISTINCT FROM OLD.categories
+    OR NEW.participants IS DISTINCT FROM OLD.participants
+    OR (NEW.pending_deletion AND NOT coalesce(OLD.pending_deletion, false))
+    -- Nobody added, and nobody but themselves removed
+    OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(coalesce(NEW.members, '[]'::jsonb)) AS member
+      WHERE NOT coalesce(OLD.members, '[]'::jsonb) ? member
+    )
+    OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(coalesce(OLD.members, '[]'::jsonb)) AS member
+      WHERE NOT coalesce(NEW.members, '[]'::jsonb) ? member AND lower(member) <> v_user
+    )
+  THEN
+    RAISE EXCEPTION 'role_forbidden' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS groups_enforce_roles ON public.groups;
+CREATE TRIGGER groups_enforce_roles
+  BEFORE UPDATE ON public.groups
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_group_roles();
+
+-- ========================================
+-- Functions
+-- ========================================
+
+-- Earlier versions took the caller's id as p_user_id
+DROP FUNCTION IF EXISTS public.set_group_member_role(uuid, text, text, text);
+
+-- Owner only; p_role is 'admin', 'member' or 'viewer'
+CREATE OR REPLACE FUNCTION public.set_group_member_role(p_group_id uuid, p_member_id text, p_role text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_user text := public.require_user_id();
+  v_member text := lower(p_member_id);
+  v_group public.groups;
+BEGIN
+  IF p_role NOT IN ('admin', 'member', 'viewer') THEN
+    RAISE EXCEPTION 'role_invalid';
+  END IF;
+
+  SELECT * INTO v_group FROM public.groups g WHERE g.id = p_group_id FOR UPDATE;
+  IF NOT FOUND OR public.group_role(v_group, v_user) IS DISTINCT FROM 'owner' THEN
+    RAISE EXCEPTION 'role_forbidden';
+  END IF;
+  IF NOT public.is_group_member(v_group, v_member) OR lower(v_group.created_by) = v_member THEN
+    RAISE EXCEPTION 'role_invalid';
+  END IF;
+
+  UPDATE public.groups
+  SET roles = coalesce(roles, '{}'::jsonb) || jsonb_build_object(v_member, p_role),
+      updated_by = v_user
+  WHERE id = p_group_id;
+END;
+$$;
+
+-- Same as in supabase-invites.sql, except that viewers cannot invite anyone
+CREATE OR REPLACE FUNCTION public.create_group_invite(
+  p_group_id uuid,
+  p_role text DEFAULT 'member',
+  p_expires_in_hours integer DEFAULT 168,
+  p_max_uses integer DEFAULT NULL
+)
+RETURNS TABLE (id uuid, token text, role text, max_uses integer, uses integer, expires_at timestamptz, created_by text)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_user text := public.require_user_id();
+  v_group public.groups;
+  v_role text;
+  v_token text;
+BEGIN
+  SELECT * INTO v_group FROM public.groups g WHERE g.id = p_group_id;
+  v_role := CASE WHEN FOUND THEN public.group_role(v_group, v_user) END;
+  IF v_role IS NULL OR v_role = 'viewer' THEN
+    RAISE EXCEPTION 'invite_forbidden';
+  END IF;
+  -- Only the owner hands out admin rights
+  IF p_role = 'admin' AND v_role <> 'owner' THEN
+    RAISE EXCEPTION 'invite_forbidden';
+  END IF;
+  IF p_expires_in_hours IS NULL OR p_expires_in_hours < 1 OR p_expires_in_hours > 24 * 90 THEN
+    RAISE EXCEPTION 'invite_bad_expiry';
+  END IF;
+
+  v_token := rtrim(translate(encode(gen_random_bytes(24), 'base64'), '+/', '-_'), '=');
+
+  RETURN QUERY
+  INSERT INTO public.group_invites AS i (group_id, token_hash, role, max_uses, expires_at, created_by)
+  VALUES (
+    p_group_id,
+    encode(digest(v_token, 'sha256'), 'hex'),
+    coalesce(p_role, 'member'),
+    p_max_uses,
+    now() + make_interval(hours => p_expires_in_hours),
+    v_user
+  )
+  RETURNING i.id, v_token, i.role, i.max_uses, i.uses, i.expires_at, i.created_by;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.set_group_member_role(uuid, text, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.set_group_member_role(uuid, text, text) TO authenticated;
+
+-- ========================================
+-- Admin dashboard
+-- ========================================
+
+-- Every group (id, name, creator, members) and the live expense count for admin.html, which the
+-- members-only policies above would limit to the admin's own groups. Only emails in admins get them.
+CREATE OR REPLACE FUNCTION public.admin_group_stats()
+RETURNS TABLE (group_list jsonb, live_expenses bigint)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM public.admins a WHERE lower(a.email) = public.require_user_id()) THEN
+    RAISE EXCEPTION 'admin_forbidden' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY SELECT
+    coalesce((
+      SELECT jsonb_agg(jsonb_build_object('id', g.id, 'name', g.name, 'created_by', g.created_by, 'members', g.members))
+      FROM public.groups g
+    ), '[]'::jsonb),
+    (SELECT count(*) FROM public.expenses e WHERE e.deleted_at IS NULL);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.admin_group_stats() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.admin_group_stats() TO authenticated;
@@ -0,0 +1,13 @@
+-- Soft delete for expenses: deleting sets deleted_at instead of removing the row, so the expense
+-- can be restored from the group's trash. The daily /api/purge-deleted cron removes rows (and their
+-- receipt photos) once they have been in the trash longer than the retention window (30 days).
+-- Run once in Supabase SQL Editor (after supabase-history.sql).
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS deleted_by text;
+
+-- Live expenses are what every group load reads
+CREATE INDEX IF NOT EXISTS expenses_live_group_idx ON public.expenses (group_id) WHERE deleted_at IS NULL;
+
+-- Trash view and the purge cron
+CREATE INDEX IF NOT EXISTS expenses_deleted_at_idx ON public.expenses (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Percentage and shares-based splits: split_weights holds each participant's
+-- percentage (split_type 'percentage') or share count (split_type 'shares').
+-- Run once in Supabase SQL Editor (after supabase-currency.sql).
+
+ALTER TABLE public.expenses ADD COLUMN IF NOT EXISTS split_weights jsonb;
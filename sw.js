@@ -1,6 +1,8 @@
-// Force cache update by incrementing version (bump when many changes – old phones get fresh app)
-const CACHE_VERSION = 'splitxpense-v2026021803';
+// Force cache update by incrementing version (bump once per deploy, not per change – old phones get fresh app)
+const CACHE_VERSION = 'splitxpense-v2026101923';
 const CACHE_NAME = CACHE_VERSION;
+// Receipt photos live in their own cache that survives app updates (paths are never reused)
+const RECEIPT_CACHE = 'splitxpense-receipts';
 
 console.log('🔄 SplitXpense Service Worker Loading with cache:', CACHE_NAME);
 
@@ -27,6 +29,9 @@ const getBasePath = () => {
 const BASE_PATH = getBasePath();
 console.log('🔄 Service Worker Base Path:', BASE_PATH || '(root)');
 
+// Same IndexedDB queue the pages write to while offline (self.OfflineQueue)
+importScripts(BASE_PATH + '/js/offline-queue.js');
+
 // Updated file list with your new enhanced files (relative to base path)
 // Only cache files that exist - use cache.add() individually to handle failures gracefully
 const urlsToCache = [
@@ -35,6 +40,17 @@ const urlsToCache = [
   BASE_PATH + '/group-detail.html',
   BASE_PATH + '/css/style.css',
   BASE_PATH + '/js/shared-utils.js',
+  BASE_PATH + '/js/app-state.js',
+  BASE_PATH + '/js/group-store.js',
+  BASE_PATH + '/js/ledger.js',
+  BASE_PATH + '/js/currency.js',
+  BASE_PATH + '/js/recurring.js',
+  BASE_PATH + '/js/receipts.js',
+  BASE_PATH + '/js/audit-log.js',
+  BASE_PATH + '/js/offline-queue.js',
+  BASE_PATH + '/js/conflicts.js',
+  BASE_PATH + '/js/roles.js',
+  BASE_PATH + '/js/overview.js',
   BASE_PATH + '/js/shared-supabase.js',
   BASE_PATH + '/js/shared-sync.js',
   BASE_PATH + '/icons/icon-192x192.png',
@@ -82,7 +98,7 @@ self.addEventListener('activate', event => {
       console.log('🗂️ Found existing caches:', cacheNames);
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== RECEIPT_CACHE) {
             console.log('🗑️ SplitXpense: Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -144,6 +160,26 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // CACHE FIRST for receipt photos so they can be viewed offline (opaque cross-origin responses included).
+  // Safe because a receipt URL never changes content: Receipts.upload stores each photo under a new random
+  // name with upsert off, and replacing a photo means a new attachment with a new URL.
+  if (url.includes('/storage/v1/object/public/receipts/')) {
+    event.respondWith(
+      caches.open(RECEIPT_CACHE).then(cache =>
+        cache.match(event.request).then(cached => {
+          if (cached) return cached;
+          return fetch(event.request).then(response => {
+            if (response && (response.status === 200 || response.type === 'opaque')) {
+              cache.put(event.request, response.clone());
+            }
+            return response;
+          });
+        })
+      )
+    );
+    return;
+  }
+
   // CACHE FIRST for static assets (JS, CSS, images)
   event.respondWith(
     caches.match(event.request)
@@ -189,13 +225,193 @@ self.addEventListener('sync', event => {
   }
 });
 
-// Sync offline data when connection is restored
-function syncData() {
-  return new Promise((resolve) => {
-    // Your app already handles data in localStorage
-    // This is just for logging
-    console.log('✅ SplitXpense: Data sync completed');
-    resolve();
+// Replay the offline queue against Supabase's REST API when the connection is restored,
+// so changes made offline land even if every tab was closed. Open tabs hear the result.
+async function syncData() {
+  const settings = await OfflineQueue.getSetting('supabase');
+  if (!settings || !settings.url || !settings.anonKey) {
+    console.log('⏭️ SplitXpense: Nothing to sync (app has not saved its Supabase settings)');
+    return;
+  }
+
+  const replayOne = (payload, operation) => replayQueuedRequest(settings, operation);
+  const result = await OfflineQueue.replay({
+    'expense.save': replayOne,
+    'expense.delete': replayOne,
+    'group.save': replayOne,
+    'group.delete': replayOne
+  }, isRetryableSyncError, { ignoreBackoff: true });
+
+  if (result.skipped) {
+    // An open tab is already replaying
+    return;
+  }
+
+  console.log('✅ SplitXpense: Background sync replayed', result.done, 'changes,', result.remaining, 'left');
+  await notifyClients({
+    type: 'OFFLINE_QUEUE_REPLAYED',
+    done: result.done,
+    failed: result.failed,
+    remaining: result.remaining
+  });
+
+  // Rejecting makes the browser fire the sync event again later; writes left for the app do not need that
+  if (result.remaining > 0 && !result.deferred) {
+    throw new Error('Queued changes still waiting for the network');
+  }
+}
+
+// Network trouble and server hiccups are worth retrying; a rejected write is not
+function isRetryableSyncError(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Leave this operation (and everything after it) for an open tab
+function deferToApp(message) {
+  const error = new Error(message);
+  error.deferred = true;
+  return error;
+}
+
+// Send one queued write as stored by shared-sync.js: operation.request = { table, method, id, record, match, conflictCheck }
+async function replayQueuedRequest(settings, operation) {
+  const request = operation.request;
+  if (!request) {
+    throw deferToApp(`${operation.type} can only be sent from the app`);
+  }
+
+  // Only a signed-in session can write (RLS has nothing for the anon key)
+  const token = await sessionAccessToken(settings);
+  const rest = (path, init) => supabaseRest(settings, token, path, init);
+  const history = operation.history;
+  let action = history ? history.action : null;
+
+  if (request.method === 'upsert') {
+    if (history && !action) {
+      const existing = await rest(`${request.table}?select=id&id=eq.${encodeURIComponent(request.id)}`, { method: 'GET' });
+      action = existing && existing.length > 0 ? 'update' : 'create';
+    }
+    await rest(`${request.table}?on_conflict=id`, {
+      method: 'POST',
+      body: request.record,
+      prefer: 'resolution=merge-duplicates,return=minimal'
+    });
+  } else if (request.method === 'update') {
+    const filters = Object.keys(request.match)
+      .map(column => `${column}=${encodeURIComponent(request.match[column])}`)
+      .join('&');
+    const rows = await rest(`${request.table}?${filters}`, {
+      method: 'PATCH',
+      body: request.record,
+      prefer: 'return=representation'
+    });
+    if (!rows || rows.length === 0) {
+      // Edited on another device since: the app merges the two versions
+      if (request.conflictCheck) throw deferToApp(`${operation.label || request.table} changed on another device`);
+      // Already deleted elsewhere: nothing to record
+      return;
+    }
+    action = action || 'update';
+  } else {
+    throw deferToApp(`Unknown queued request method ${request.method}`);
+  }
+
+  if (history && history.groupId) {
+    // History must never fail the write itself
+    // record_group_history takes the actor from the session, like recordHistory in shared-sync.js
+    await rest('rpc/record_group_history', {
+      method: 'POST',
+      body: {
+        p_group_id: history.groupId,
+        p_entity_type: history.entityType,
+        p_entity_id: history.entityId ? String(history.entityId) : null,
+        p_action: action,
+        p_snapshot: history.snapshot || null
+      },
+      prefer: 'return=minimal'
+    }).catch(error => console.warn('⚠️ SplitXpense: Failed to record history:', error.message));
+  }
+}
+
+// The pages' Supabase Auth session (OfflineQueue.authStorage), refreshed here when it is about to
+// expire. The refresh happens under the lock supabase-js takes for its own ("lock:" + storage key) and
+// the new session is written back, so no tab goes on to reuse the spent refresh token.
+async function sessionAccessToken(settings) {
+  const key = OfflineQueue.AUTH_STORAGE_KEY;
+  const readSession = async () => {
+    const stored = await OfflineQueue.authStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  };
+  const isFresh = session => session && session.access_token && session.expires_at * 1000 > Date.now() + 60000;
+
+  let session = await readSession();
+  if (isFresh(session)) return session.access_token;
+  if (!session || !session.refresh_token) throw deferToApp('Not signed in');
+
+  const refresh = async () => {
+    // A tab may have refreshed it while we waited for the lock
+    session = await readSession();
+    if (isFresh(session)) return session.access_token;
+    if (!session || !session.refresh_token) throw deferToApp('Not signed in');
+
+    const response = await fetch(`${settings.url}/auth/v1/token?grant_type=refresh_token`, {
+      method: 'POST',
+      headers: { apikey: settings.anonKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: session.refresh_token })
+    });
+    if (!response.ok) {
+      const error = new Error(`Could not refresh the session (${response.status})`);
+      error.status = response.status;
+      // Revoked or signed out: the app asks for a new sign-in
+      error.deferred = response.status < 500 && response.status !== 429;
+      throw error;
+    }
+
+    const refreshed = await response.json();
+    if (!refreshed.expires_at) {
+      refreshed.expires_at = Math.round(Date.now() / 1000) + refreshed.expires_in;
+    }
+    await OfflineQueue.authStorage.setItem(key, JSON.stringify(refreshed));
+    return refreshed.access_token;
+  };
+
+  return navigator.locks ? navigator.locks.request(`lock:${key}`, refresh) : refresh();
+}
+
+// fetch() against PostgREST; throws with .status on an error response (401/403 wait for the app's fresh sign-in)
+async function supabaseRest(settings, token, path, { method, body, prefer }) {
+  const headers = {
+    apikey: settings.anonKey,
+    Authorization: `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+  if (prefer) headers.Prefer = prefer;
+
+  const response = await fetch(`${settings.url}/rest/v1/${path}`, {
+    method: method,
+    headers: headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+
+  if (!response.ok) {
+    let message = response.statusText;
+    try {
+      message = JSON.parse(text).message || message;
+    } catch (e) {
+      // Not JSON; keep the status text
+    }
+    const error = new Error(message);
+    error.status = response.status;
+    error.deferred = response.status === 401 || response.status === 403;
+    throw error;
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+function notifyClients(message) {
+  return self.clients.matchAll({ includeUncontrolled: true, type: 'window' }).then(clients => {
+    clients.forEach(client => client.postMessage(message));
   });
 }
 
@@ -0,0 +1,88 @@
+// Ledger - split, payment and currency math (run with: npm test)
+const test = require('node:test');
+const assert = require('node:assert');
+const Ledger = require('../js/ledger.js');
+
+const people = ['Asha', 'Ben', 'Priya2'];
+
+test('equal split gives leftover paise to the first people', () => {
+    const expense = { amountMinor: 1000, paidBy: 'Asha', splitBetween: people, splitType: 'equal' };
+    assert.deepStrictEqual(Ledger.getExpenseShares(expense, people), { Asha: 334, Ben: 333, Priya2: 333 });
+    assert.deepStrictEqual(Ledger.calculateBalances(people, [expense], 'INR'), { Asha: 666, Ben: -333, Priya2: -333 });
+});
+
+test('percentage split follows the percentages', () => {
+    const expense = {
+        amountMinor: 10000, paidBy: 'Ben', splitBetween: people, splitType: 'percentage',
+        splitWeights: { Asha: 50, Ben: 30, Priya2: 20 }
+    };
+    assert.deepStrictEqual(Ledger.getExpenseShares(expense, people), { Asha: 5000, Ben: 3000, Priya2: 2000 });
+});
+
+test('share split rounds so the parts add up to the total', () => {
+    const expense = {
+        amountMinor: 1000, paidBy: 'Ben', splitBetween: people, splitType: 'shares',
+        splitWeights: { Asha: 1, Ben: 1, Priya2: 1 }
+    };
+    const shares = Ledger.getExpenseShares(expense, people);
+    assert.strictEqual(shares.Asha + shares.Ben + shares.Priya2, 1000);
+});
+
+test('custom split uses the entered amounts', () => {
+    const expense = {
+        amount: 90, paidBy: 'Asha', splitBetween: people, splitType: 'custom',
+        customAmounts: { Asha: 10, Ben: 30.5, Priya2: 49.5 }
+    };
+    assert.deepStrictEqual(Ledger.getExpenseShares(expense, people), { Asha: 1000, Ben: 3050, Priya2: 4950 });
+});
+
+test('multiple payers are each credited what they paid', () => {
+    const expense = {
+        amountMinor: 3000, paidBy: 'Asha', splitBetween: people, splitType: 'equal',
+        payersMinor: { Asha: 2000, Ben: 1000 }
+    };
+    assert.deepStrictEqual(Ledger.calculateBalances(people, [expense], 'INR'), { Asha: 1000, Ben: 0, Priya2: -1000 });
+    assert.strictEqual(Ledger.normalizeExpense(expense).paidBy, 'Asha');
+});
+
+test('a payment settles the debt and is not spending', () => {
+    const dinner = { amountMinor: 3000, paidBy: 'Asha', splitBetween: people, splitType: 'equal' };
+    const expenses = [dinner, Ledger.createPayment('Ben', 'Asha', 1000, 'INR'), Ledger.createPayment('Priya2', 'Asha', 1000, 'INR')];
+    assert.deepStrictEqual(Ledger.calculateBalances(people, expenses, 'INR'), { Asha: 0, Ben: 0, Priya2: 0 });
+    assert.strictEqual(Ledger.totalSpent(expenses, 'INR'), 3000);
+    assert.deepStrictEqual(Ledger.calculateShares(people, expenses, 'INR'), { Asha: 1000, Ben: 1000, Priya2: 1000 });
+});
+
+test('foreign-currency expenses are converted to the base currency', () => {
+    const expense = {
+        amountMinor: 1000, currency: 'USD', exchangeRate: 83.5,
+        paidBy: 'Asha', splitBetween: people, splitType: 'equal'
+    };
+    assert.strictEqual(Ledger.toBaseMinor(expense, 'INR'), 83500);
+    const shares = Ledger.getBaseShares(expense, people, 'INR');
+    assert.strictEqual(shares.Asha + shares.Ben + shares.Priya2, 83500);
+    assert.deepStrictEqual(Ledger.calculateBalances(people, [expense], 'INR'), { Asha: 55611, Ben: -27806, Priya2: -27805 });
+});
+
+test('zero-decimal currencies convert whole units', () => {
+    const expense = { amountMinor: 1000, currency: 'JPY', exchangeRate: 0.56, paidBy: 'Asha', splitBetween: ['Asha', 'Ben'] };
+    assert.strictEqual(Ledger.getMinorDigits('JPY'), 0);
+    assert.strictEqual(Ledger.toBaseMinor(expense, 'INR'), 56000);
+});
+
+test('settlements pay each creditor off from the debtors', () => {
+    assert.deepStrictEqual(Ledger.calculateSettlements({ Asha: 666, Ben: -333, Priya2: -333 }), [
+        { from: 'Ben', to: 'Asha', amount: 333 },
+        { from: 'Priya2', to: 'Asha', amount: 333 }
+    ]);
+});
+
+test('member IDs are told apart from participant names', () => {
+    ['asha@example.com', 'guest_1760000000000', 'kaladeep0226', 'user123456'].forEach(id => {
+        assert.strictEqual(Ledger.isMemberId(id), true, id);
+    });
+    ['Priya2', 'Ben', 'Team 42'].forEach(name => {
+        assert.strictEqual(Ledger.isMemberId(name), false, name);
+    });
+    assert.deepStrictEqual(Ledger.filterParticipants(['Priya2', 'kaladeep0226'], ['Priya2', 'kaladeep0226']), ['Priya2']);
+});